@@ -0,0 +1,372 @@
+/**
+ * Assembler module for provider tool call delta streams
+ * Rebuilds tool calls from OpenAI and Anthropic streaming events
+ */
+
+import { repairJson } from './repair.js';
+import { EventEmitter, safeJsonParse, isPlainObject, deepClone, shouldReread } from './utils.js';
+
+/**
+ * Reassemble tool calls streamed as provider deltas
+ * Accepts parsed event objects or raw server-sent event text:
+ * - OpenAI Chat Completions chunks (choices[].delta.tool_calls[i], keyed by index)
+ * - OpenAI Responses API events (response.output_item.added, response.function_call_arguments.delta, ...)
+ * - Anthropic Messages events (content_block_start, input_json_delta, content_block_stop)
+ *
+ * Emits the same tool_start, args_delta and tool_end events as StreamingParser,
+ * where index is the call's position in getAllCalls().
+ */
+export class ToolCallAssembler extends EventEmitter {
+  constructor() {
+    super();
+    this.reset();
+  }
+
+  /**
+   * Add a streaming event, or raw server-sent event text
+   * @param {string|object} chunk - Parsed event object, or SSE text (lines may be split across chunks)
+   * @returns {Array|null} Any newly completed tool calls
+   *
+   * @example
+   * const assembler = new ToolCallAssembler();
+   * for await (const event of stream) {
+   *   const calls = assembler.addChunk(event);
+   *   if (calls) await mcp.execute(calls);
+   * }
+   */
+  addChunk(chunk) {
+    const completed = [];
+
+    if (typeof chunk === 'string') {
+      this.lineBuffer += chunk;
+
+      // Keep the last, possibly incomplete, line for the next chunk
+      const lines = this.lineBuffer.split(/\r\n|\r|\n/);
+      this.lineBuffer = lines.pop();
+
+      for (const line of lines) {
+        completed.push(...this.handleLine(line));
+      }
+    } else if (isPlainObject(chunk)) {
+      completed.push(...this.handleEvent(chunk));
+    }
+
+    return completed.length > 0 ? completed : null;
+  }
+
+  /**
+   * Complete any calls still open when the stream ended
+   * @returns {Array|null} Calls completed by flushing
+   */
+  flush() {
+    const completed = [];
+
+    if (this.lineBuffer) {
+      completed.push(...this.handleLine(this.lineBuffer));
+      this.lineBuffer = '';
+    }
+
+    completed.push(...this.completeOpenCalls());
+
+    return completed.length > 0 ? completed : null;
+  }
+
+  /**
+   * Handle one line of server-sent event text
+   * @param {string} line - SSE line
+   * @returns {Array} Completed calls
+   */
+  handleLine(line) {
+    if (!line.startsWith('data:')) return [];
+
+    const data = line.slice(5).trim();
+
+    if (data === '[DONE]') {
+      return this.completeOpenCalls();
+    }
+
+    const event = safeJsonParse(data);
+    return isPlainObject(event) ? this.handleEvent(event) : [];
+  }
+
+  /**
+   * Route a parsed event to the handler for its provider
+   * @param {object} event - Streaming event
+   * @returns {Array} Completed calls
+   */
+  handleEvent(event) {
+    if (Array.isArray(event.choices)) {
+      return this.handleOpenAIChunk(event);
+    }
+
+    if (typeof event.type === 'string' && event.type.startsWith('response.')) {
+      return this.handleResponsesEvent(event);
+    }
+
+    return this.handleAnthropicEvent(event);
+  }
+
+  /**
+   * Handle an OpenAI Chat Completions chunk
+   * @param {object} event - Chunk with choices[].delta.tool_calls
+   * @returns {Array} Completed calls
+   */
+  handleOpenAIChunk(event) {
+    const completed = [];
+
+    for (const choice of event.choices) {
+      const prefix = `openai:${choice.index || 0}:`;
+      const deltas = choice.delta && Array.isArray(choice.delta.tool_calls) ? choice.delta.tool_calls : [];
+
+      for (const delta of deltas) {
+        const key = prefix + (delta.index || 0);
+
+        if (!this.open.has(key)) {
+          // Calls are streamed one after another, so a new one completes the last
+          completed.push(...this.completeOpenCalls(prefix));
+          this.startCall(key);
+        }
+
+        const call = this.open.get(key);
+        if (delta.id) call.id = delta.id;
+        if (delta.function && typeof delta.function.name === 'string') call.name += delta.function.name;
+        if (delta.function && typeof delta.function.arguments === 'string') call.arguments += delta.function.arguments;
+
+        this.updateCall(call);
+      }
+
+      if (choice.finish_reason) {
+        completed.push(...this.completeOpenCalls(prefix));
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Handle an OpenAI Responses API streaming event
+   * @param {object} event - Event with a response.* type
+   * @returns {Array} Completed calls
+   */
+  handleResponsesEvent(event) {
+    const key = `responses:${event.output_index || 0}`;
+    const item = event.item;
+
+    switch (event.type) {
+      case 'response.output_item.added':
+        if (item && item.type === 'function_call') {
+          const call = this.startCall(key);
+          call.id = item.call_id || item.id || null;
+          call.name = item.name || '';
+          call.arguments = item.arguments || '';
+          this.updateCall(call);
+        }
+        return [];
+
+      case 'response.function_call_arguments.delta':
+        if (this.open.has(key) && typeof event.delta === 'string') {
+          const call = this.open.get(key);
+          call.arguments += event.delta;
+          this.updateCall(call);
+        }
+        return [];
+
+      case 'response.output_item.done':
+        if (item && item.type === 'function_call' && this.open.has(key)) {
+          // The finished item carries the authoritative arguments
+          if (typeof item.arguments === 'string') {
+            this.open.get(key).arguments = item.arguments;
+          }
+          return this.completeCall(key);
+        }
+        return [];
+
+      case 'response.completed':
+        return this.completeOpenCalls('responses:');
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Handle an Anthropic Messages streaming event
+   * @param {object} event - Event with a content_block_* or message_* type
+   * @returns {Array} Completed calls
+   */
+  handleAnthropicEvent(event) {
+    const key = `anthropic:${event.index || 0}`;
+
+    switch (event.type) {
+      case 'content_block_start': {
+        const block = event.content_block;
+        if (block && block.type === 'tool_use') {
+          const call = this.startCall(key);
+          call.id = block.id || null;
+          call.name = block.name || '';
+          call.input = block.input;
+          this.updateCall(call);
+        }
+        return [];
+      }
+
+      case 'content_block_delta':
+        if (this.open.has(key) && event.delta && event.delta.type === 'input_json_delta') {
+          const call = this.open.get(key);
+          call.arguments += event.delta.partial_json || '';
+          this.updateCall(call);
+        }
+        return [];
+
+      case 'content_block_stop':
+        return this.open.has(key) ? this.completeCall(key) : [];
+
+      case 'message_stop':
+        return this.completeOpenCalls('anthropic:');
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Open a new call
+   * @param {string} key - Provider-specific key for the call
+   * @returns {object} Open call record
+   */
+  startCall(key) {
+    const call = {
+      index: this.nextIndex++,
+      id: null,
+      name: '',
+      arguments: '',
+      input: null,
+      started: false,
+      lastArgs: null,
+      readLength: 0
+    };
+
+    this.open.set(key, call);
+    return call;
+  }
+
+  /**
+   * Emit tool_start once a call has a name, and args_delta as its arguments grow
+   * @param {object} call - Open call record
+   * @param {object} args - Arguments to report (partial arguments if omitted)
+   */
+  updateCall(call, args = null) {
+    if (!call.name) return;
+
+    if (!call.started) {
+      call.started = true;
+      this.emit('tool_start', { index: call.index, tool: call.name.trim(), id: call.id || undefined });
+    }
+
+    // Partial arguments are only worked out when someone is listening for them
+    if (!args && this.listenerCount('args_delta') === 0) return;
+
+    let current = args;
+    if (!current) {
+      // Large arguments are only re-read once they have grown by an eighth
+      if (!shouldReread(call.arguments.length, call.readLength)) return;
+      call.readLength = call.arguments.length;
+
+      const partial = decodeArguments(call);
+
+      // Wait for a dangling key's value rather than reporting it as null
+      if (partial.repairs && partial.repairs.includes('missing_values')) return;
+      current = partial.args;
+    }
+
+    const serialized = JSON.stringify(current);
+
+    if (serialized !== call.lastArgs) {
+      call.lastArgs = serialized;
+      this.emit('args_delta', { index: call.index, tool: call.name.trim(), id: call.id || undefined, args: deepClone(current) });
+    }
+  }
+
+  /**
+   * Complete an open call
+   * @param {string} key - Key of the call
+   * @returns {Array} The normalized call, or nothing if it never got a name
+   */
+  completeCall(key) {
+    const call = this.open.get(key);
+    this.open.delete(key);
+
+    if (!call.name.trim()) return [];
+
+    const { args, repairs } = decodeArguments(call);
+    const toolCall = { tool: call.name.trim(), args };
+
+    if (call.id) toolCall.id = call.id;
+    if (repairs && repairs.length > 0) toolCall.repairs = repairs;
+
+    this.updateCall(call, args);
+    this.emit('tool_end', { index: call.index, tool: toolCall.tool, id: toolCall.id, args });
+
+    this.calls[call.index] = toolCall;
+    return [toolCall];
+  }
+
+  /**
+   * Complete every open call whose key starts with a prefix
+   * @param {string} prefix - Key prefix (all calls if omitted)
+   * @returns {Array} Completed calls, in the order they started
+   */
+  completeOpenCalls(prefix = '') {
+    const keys = Array.from(this.open.keys())
+      .filter(key => key.startsWith(prefix))
+      .sort((a, b) => this.open.get(a).index - this.open.get(b).index);
+
+    const completed = [];
+    for (const key of keys) {
+      completed.push(...this.completeCall(key));
+    }
+
+    return completed;
+  }
+
+  /**
+   * Get all completed tool calls
+   * @returns {Array} Completed calls, in the order they started
+   */
+  getAllCalls() {
+    return this.calls.filter(Boolean);
+  }
+
+  /**
+   * Reset the assembler state
+   */
+  reset() {
+    this.lineBuffer = '';
+    this.open = new Map();
+    this.calls = [];
+    this.nextIndex = 0;
+  }
+}
+
+/**
+ * Decode the arguments accumulated for a call, repairing truncated JSON
+ * @param {object} call - Open call record
+ * @returns {object} Result with args and the repairs applied, if any
+ */
+function decodeArguments(call) {
+  if (!call.arguments.trim()) {
+    return { args: isPlainObject(call.input) ? call.input : {} };
+  }
+
+  const parsed = safeJsonParse(call.arguments);
+  if (isPlainObject(parsed)) {
+    return { args: parsed };
+  }
+
+  const repaired = repairJson(call.arguments);
+  if (repaired && isPlainObject(repaired.value)) {
+    return { args: repaired.value, repairs: repaired.repairs };
+  }
+
+  return { args: {} };
+}
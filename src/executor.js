@@ -4,7 +4,46 @@
  */
 
 import { schemaValidator, formatErrorMessage } from './schema.js';
-import { EventEmitter, deepClone } from './utils.js';
+import { EventEmitter, deepClone, editDistance, isPlainObject } from './utils.js';
+
+/**
+ * Ways of handling a result that does not match the tool's output schema
+ * - warn: keep the result, reporting the errors
+ * - error: turn the result into an error
+ * - strip: remove properties the schema does not define, then warn if still invalid
+ * - off: do not validate results
+ */
+const OUTPUT_VALIDATION_MODES = ['warn', 'error', 'strip', 'off'];
+
+/**
+ * Suffix for the names under which output schemas are compiled
+ */
+const OUTPUT_SCHEMA_SUFFIX = '#output';
+
+/**
+ * Decisions an approval handler can return
+ * - approve_once: run this call
+ * - approve_always: run this call and later calls to the tool without asking again
+ * - deny: do not run the call
+ */
+const APPROVAL_DECISIONS = ['approve_once', 'approve_always', 'deny'];
+
+/**
+ * Retry policy used when neither the tool nor the execute call sets one
+ * - maxAttempts: total attempts, including the first (1 disables retries)
+ * - delay: milliseconds before the first retry, multiplied by factor for each further retry
+ * - maxDelay: upper bound for the delay
+ * - jitter: fraction of each delay that is randomised (0 for fixed delays)
+ * - retryable: predicate (error, attempt) deciding whether an error is retried
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  delay: 100,
+  factor: 2,
+  maxDelay: 10000,
+  jitter: 0.5,
+  retryable: () => true
+};
 
 /**
  * Tool execution engine
@@ -14,14 +53,40 @@ export class Executor extends EventEmitter {
     super();
     this.logger = logger;
     this.registry = new Map();
+    this.aliases = new Map();
     this.strict = false;
+    this.nameResolution = { normalize: true, fuzzy: false, maxDistance: 2 };
+    this.argumentCoercion = { coerceTypes: false, useDefaults: false };
+    this.outputValidation = 'warn';
+
+    // Runtime handed to tools in their context, so they can call other tools
+    this.runtime = null;
+
+    // Middleware run around each call, in the order added
+    this.middleware = [];
+
+    // Approval handler for tools registered with requiresApproval, and the tools
+    // approved with 'approve_always', by session (see getSessionApprovals)
+    this.approvalHandler = null;
+    this.approvedTools = new Map();
+    this.objectApprovals = new WeakMap();
+
+    // Approvals are numbered, so clearing a tool in sessions that cannot be
+    // enumerated (see clearApprovals) can be recorded as a number to beat
+    this.approvalCount = 0;
+    this.revokedApprovals = new Map();
   }
 
   /**
    * Register a tool function
    * @param {string} name - Tool name
    * @param {Function} fn - Function to execute
-   * @param {object} options - Options including schema and description
+   * @param {object} options - Options including schema, outputSchema, description, aliases,
+   *   coerceTypes/useDefaults to override the runtime's argument coercion,
+   *   outputValidation to override the runtime's output validation mode,
+   *   timeout (milliseconds) to abort long-running calls, retry (a retry policy,
+   *   see DEFAULT_RETRY_POLICY) to retry failed calls, and requiresApproval (boolean,
+   *   or a function of the args) to ask the approval handler before each call
    * @returns {boolean} True if registration succeeded
    */
   register(name, fn, options = {}) {
@@ -36,6 +101,13 @@ export class Executor extends EventEmitter {
       }
 
       const toolName = name.trim();
+      const aliases = (options.aliases || []).map(alias => String(alias).trim()).filter(Boolean);
+
+      for (const alias of aliases) {
+        if (this.registry.has(alias) || (this.aliases.has(alias) && this.aliases.get(alias) !== toolName)) {
+          throw new Error(`Alias '${alias}' is already in use`);
+        }
+      }
       
       // Validate and compile schema
       const schema = options.schema || { type: 'object', additionalProperties: true };
@@ -51,12 +123,52 @@ export class Executor extends EventEmitter {
         throw new Error('Failed to compile schema');
       }
 
-      // Store tool registration
+      if (options.outputValidation !== undefined && !OUTPUT_VALIDATION_MODES.includes(options.outputValidation)) {
+        throw new Error(`Output validation must be one of: ${OUTPUT_VALIDATION_MODES.join(', ')}`);
+      }
+
+      if (options.requiresApproval !== undefined &&
+          typeof options.requiresApproval !== 'boolean' && typeof options.requiresApproval !== 'function') {
+        throw new Error('requiresApproval must be a boolean or a function');
+      }
+
+      if (options.retry !== undefined && !isPlainObject(options.retry)) {
+        throw new Error('Retry policy must be an object');
+      }
+
+      // Compile the output schema, if any, for result validation
+      if (options.outputSchema) {
+        const outputSchemaValidation = schemaValidator.validateSchema(options.outputSchema);
+        if (!outputSchemaValidation.isValid) {
+          throw new Error(`Invalid output schema: ${formatErrorMessage(outputSchemaValidation.errors)}`);
+        }
+
+        schemaValidator.compileSchema(toolName + OUTPUT_SCHEMA_SUFFIX, options.outputSchema);
+      } else {
+        schemaValidator.removeSchema(toolName + OUTPUT_SCHEMA_SUFFIX);
+      }
+
+      // Store tool registration, replacing any aliases and session approvals from an earlier one
+      this.removeAliases(toolName);
+      this.clearApprovals(toolName);
+      for (const alias of aliases) {
+        this.aliases.set(alias, toolName);
+      }
+
       this.registry.set(toolName, {
         fn,
         schema,
         outputSchema: options.outputSchema || null,
         description: options.description || '',
+        aliases,
+        coercion: {
+          coerceTypes: options.coerceTypes,
+          useDefaults: options.useDefaults
+        },
+        outputValidation: options.outputValidation,
+        timeout: options.timeout || null,
+        retry: options.retry || null,
+        requiresApproval: options.requiresApproval || false,
         metadata: {
           registeredAt: new Date().toISOString(),
           callCount: 0,
@@ -84,43 +196,98 @@ export class Executor extends EventEmitter {
 
   /**
    * Execute a single tool call
-   * @param {object} toolCall - Tool call with tool and args
-   * @returns {Promise<object>} Result with tool, result/error, and metadata
+   * @param {object} toolCall - Tool call with tool, args and an optional provider id
+   * @param {object} options - Execution options
+   * @param {number} options.timeout - Abort the call after this many milliseconds (the tool's own timeout applies if shorter)
+   * @param {AbortSignal} options.signal - Signal that cancels the call
+   * @param {object} options.session - Session or client info passed to the tool in its context
+   * @param {Function} options.onProgress - Called with each progress update the tool reports
+   * @param {object} options.retry - Retry policy for tools registered without one (see DEFAULT_RETRY_POLICY)
+   * @returns {Promise<object>} Result with tool, result/error, status ('success', 'error',
+   *   'timeout', 'cancelled' or 'denied'), and metadata
    */
-  async executeSingle(toolCall) {
+  async executeSingle(toolCall, options = {}) {
     const startTime = Date.now();
-    const callId = `${toolCall.tool}_${startTime}_${Math.random().toString(36).substr(2, 5)}`;
+    const callId = toolCall.id || `${toolCall.tool}_${startTime}_${Math.random().toString(36).substr(2, 5)}`;
     
     this.logger.info(`Executing tool call: ${toolCall.tool}`, toolCall.args);
+
+    let coercedArgs = null;
+    let approval = null;
+    const attempts = [];
     
     try {
-      // Check if tool exists
-      const toolInfo = this.registry.get(toolCall.tool);
-      if (!toolInfo) {
-        throw new Error(`Tool '${toolCall.tool}' not found`);
+      // A cancelled batch does not start any more calls
+      if (options.signal && options.signal.aborted) {
+        throw createStatusError('cancelled', 'Call was cancelled');
       }
 
-      // Validate arguments
-      const validation = schemaValidator.validate(toolCall.tool, toolCall.args);
-      if (!validation.isValid) {
-        const errorMsg = formatErrorMessage(validation.errors);
-        throw new Error(`Validation failed: ${errorMsg}`);
+      // Check if tool exists, resolving near-miss names from the model
+      const resolution = this.resolveToolName(toolCall.tool);
+      if (!resolution.name) {
+        const suggestions = resolution.suggestions.map(name => `'${name}'`).join(', ');
+        throw new Error(`Tool '${toolCall.tool}' not found${suggestions ? `. Did you mean ${suggestions}?` : ''}`);
       }
 
-      // Update metadata
-      toolInfo.metadata.callCount++;
-      toolInfo.metadata.lastCalled = new Date().toISOString();
+      if (resolution.name !== toolCall.tool) {
+        this.logger.info(`Resolved tool '${toolCall.tool}' to '${resolution.name}' (${resolution.match})`);
+        toolCall = { ...toolCall, tool: resolution.name, requestedTool: toolCall.tool };
+      }
 
-      // Emit call event
-      this.emit('call', {
+      const toolInfo = this.registry.get(toolCall.tool);
+      let validationErrors = [];
+
+      const middlewareContext = {
         callId,
         tool: toolCall.tool,
-        args: deepClone(toolCall.args),
-        timestamp: new Date().toISOString()
+        args: toolCall.args,
+        ...(toolCall.requestedTool && { requestedTool: toolCall.requestedTool }),
+        session: options.session || null,
+        state: {}
+      };
+
+      // Validation, the tool function and output validation run inside the middleware
+      const result = await this.runMiddleware(middlewareContext, async () => {
+        toolCall = { ...toolCall, args: middlewareContext.args };
+
+        // Validate arguments, coercing types and applying defaults if enabled
+        const validation = schemaValidator.validate(toolCall.tool, toolCall.args, this.getArgumentCoercion(toolInfo));
+        if (!validation.isValid) {
+          const errorMsg = formatErrorMessage(validation.errors);
+          throw new Error(`Validation failed: ${errorMsg}`);
+        }
+
+        if (JSON.stringify(validation.data) !== JSON.stringify(toolCall.args)) {
+          this.logger.info(`Coerced arguments for '${toolCall.tool}'`, validation.data);
+          coercedArgs = deepClone(validation.data);
+          toolCall = { ...toolCall, args: validation.data };
+        }
+
+        // Ask for approval of sensitive tools, with the arguments they will run with
+        approval = await this.requestApproval(callId, toolCall, toolInfo, options);
+
+        // Update metadata
+        toolInfo.metadata.callCount++;
+        toolInfo.metadata.lastCalled = new Date().toISOString();
+
+        // Emit call event
+        this.emit('call', {
+          callId,
+          tool: toolCall.tool,
+          args: deepClone(toolCall.args),
+          timestamp: new Date().toISOString()
+        });
+
+        // Execute function
+        const context = this.createContext(callId, toolCall, options);
+        const output = await this.runWithRetry(toolCall, toolInfo, context, options, attempts);
+
+        // Check the result against the output schema
+        const validated = this.validateOutput(toolCall.tool, toolInfo, output, callId);
+        validationErrors = validated.errors;
+        return validated.result;
       });
 
-      // Execute function
-      const result = await Promise.resolve(toolInfo.fn(toolCall.args));
       const duration = Date.now() - startTime;
 
       this.logger.success(`Tool '${toolCall.tool}' completed in ${duration}ms`);
@@ -130,6 +297,7 @@ export class Executor extends EventEmitter {
         callId,
         tool: toolCall.tool,
         result: deepClone(result),
+        status: 'success',
         duration,
         timestamp: new Date().toISOString()
       });
@@ -137,15 +305,22 @@ export class Executor extends EventEmitter {
       return {
         tool: toolCall.tool,
         result,
+        status: 'success',
+        ...(validationErrors.length > 0 && { validationErrors }),
         metadata: {
           callId,
           duration,
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          ...(toolCall.requestedTool && { requestedTool: toolCall.requestedTool }),
+          ...(coercedArgs && { coercedArgs }),
+          ...(attempts.length > 0 && { attempts }),
+          ...(approval && { approval })
         }
       };
 
     } catch (error) {
       const duration = Date.now() - startTime;
+      const status = error.status || 'error';
       
       // Update error metadata if tool exists
       const toolInfo = this.registry.get(toolCall.tool);
@@ -165,6 +340,7 @@ export class Executor extends EventEmitter {
         tool: toolCall.tool,
         args: deepClone(toolCall.args),
         error: error.message,
+        status,
         duration,
         timestamp: new Date().toISOString()
       });
@@ -172,12 +348,259 @@ export class Executor extends EventEmitter {
       return {
         tool: toolCall.tool,
         error: error.message,
+        status,
+        ...(error.validationErrors && { validationErrors: error.validationErrors }),
         metadata: {
           callId,
           duration,
+          timestamp: new Date().toISOString(),
+          ...(toolCall.requestedTool && { requestedTool: toolCall.requestedTool }),
+          ...(coercedArgs && { coercedArgs }),
+          ...(attempts.length > 0 && { attempts }),
+          ...(approval && { approval })
+        }
+      };
+    }
+  }
+
+  /**
+   * Add middleware run around each tool call
+   * Middleware is called as (ctx, next) after the tool name is resolved. ctx holds
+   * callId, tool, args, requestedTool, session and a state object shared between
+   * middleware. Changing ctx.args before calling next changes the arguments that
+   * are validated and passed to the tool. next() runs the rest of the chain and
+   * resolves to the result; the middleware's return value becomes the result
+   * (or next's result, if it returns undefined). Not calling next skips the tool,
+   * and throwing fails the call.
+   * @param {Function} middleware - Middleware function (ctx, next) => result
+   * @param {object} options - Middleware options
+   * @param {string|string[]} options.tools - Only run for these tools (default: all tools)
+   *
+   * @example
+   * executor.use(async (ctx, next) => {
+   *   const start = Date.now();
+   *   const result = await next();
+   *   console.log(`${ctx.tool} took ${Date.now() - start}ms`);
+   *   return result;
+   * });
+   */
+  use(middleware, options = {}) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+
+    const tools = options.tools === undefined ? null : [].concat(options.tools);
+    this.middleware.push({ fn: middleware, tools });
+    this.logger.info(`Added middleware${tools ? ` for ${tools.join(', ')}` : ''}`);
+  }
+
+  /**
+   * Remove middleware added with use
+   * @param {Function} middleware - Middleware function to remove
+   * @returns {boolean} True if middleware was removed
+   */
+  removeMiddleware(middleware) {
+    const index = this.middleware.findIndex(entry => entry.fn === middleware);
+    if (index === -1) return false;
+
+    this.middleware.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Run the middleware that applies to a call around a handler
+   * @param {object} ctx - Middleware context
+   * @param {Function} handler - Runs the call itself, resolving to its result
+   * @returns {Promise<*>} Result from the middleware chain
+   */
+  runMiddleware(ctx, handler) {
+    const chain = this.middleware.filter(entry => !entry.tools || entry.tools.includes(ctx.tool));
+
+    const dispatch = async (position) => {
+      if (position === chain.length) {
+        return handler();
+      }
+
+      let called = false;
+      let downstream;
+
+      const next = async () => {
+        if (called) {
+          throw new Error('next() called more than once');
+        }
+
+        called = true;
+        downstream = await dispatch(position + 1);
+        return downstream;
+      };
+
+      const value = await chain[position].fn(ctx, next);
+      return value === undefined && called ? downstream : value;
+    };
+
+    return dispatch(0);
+  }
+
+  /**
+   * Create the context passed to a tool function as its second argument
+   * @param {string} callId - Call ID
+   * @param {object} toolCall - Resolved tool call
+   * @param {object} options - Execution options with session and onProgress
+   * @returns {object} Context with callId, tool, logger, reportProgress, session and runtime
+   *   (the attempt number, signal and callTool are added for each attempt)
+   */
+  createContext(callId, toolCall, { session = null, onProgress = null } = {}) {
+    return {
+      callId,
+      tool: toolCall.tool,
+      logger: this.logger,
+      session,
+      runtime: this.runtime,
+
+      /**
+       * Report progress on a long-running call
+       * @param {number} progress - Progress so far
+       * @param {number} total - Total expected, if known
+       * @param {string} message - Optional status message
+       */
+      reportProgress: (progress, total, message) => {
+        const update = {
+          callId,
+          tool: toolCall.tool,
+          progress,
+          ...(total !== undefined && { total }),
+          ...(message !== undefined && { message }),
+          timestamp: new Date().toISOString()
+        };
+
+        this.emit('progress', update);
+
+        if (onProgress) {
+          try {
+            onProgress(update);
+          } catch (error) {
+            this.logger.error(`Progress handler failed for '${toolCall.tool}':`, error.message);
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Run a tool function, retrying failed attempts as its retry policy allows
+   * Waits between attempts with exponential backoff and jitter, emitting a retry
+   * event before each wait. Cancelled calls are never retried.
+   * @param {object} toolCall - Resolved tool call
+   * @param {object} toolInfo - Registered tool
+   * @param {object} context - Context from createContext
+   * @param {object} options - Execution options with timeout, signal and retry
+   * @param {Array} attempts - Filled with a record of each attempt when retries are enabled
+   * @returns {Promise<*>} Value returned by the successful attempt
+   */
+  async runWithRetry(toolCall, toolInfo, context, options, attempts) {
+    const policy = { ...DEFAULT_RETRY_POLICY, ...(toolInfo.retry || options.retry) };
+    const tracked = policy.maxAttempts > 1;
+
+    for (let attempt = 1; ; attempt++) {
+      const attemptStart = Date.now();
+
+      try {
+        const output = await this.runTool(toolCall, toolInfo, { ...context, attempt }, options);
+
+        if (tracked) {
+          attempts.push({ attempt, status: 'success', duration: Date.now() - attemptStart });
+        }
+
+        return output;
+      } catch (error) {
+        const status = error.status || 'error';
+        const record = { attempt, status, error: error.message, duration: Date.now() - attemptStart };
+
+        if (tracked) {
+          attempts.push(record);
+        }
+
+        if (attempt >= policy.maxAttempts || status === 'cancelled' || !policy.retryable(error, attempt)) {
+          throw error;
+        }
+
+        record.delay = getRetryDelay(policy, attempt);
+        this.logger.warn(`Tool '${toolCall.tool}' failed on attempt ${attempt}, retrying in ${record.delay}ms`);
+
+        this.emit('retry', {
+          callId: context.callId,
+          tool: toolCall.tool,
+          attempt,
+          delay: record.delay,
+          error: error.message,
+          status,
           timestamp: new Date().toISOString()
+        });
+
+        await wait(record.delay, options.signal);
+      }
+    }
+  }
+
+  /**
+   * Run a tool function, aborting it on timeout or cancellation
+   * The function receives its context as the second argument, with an AbortSignal
+   * as `signal` that is aborted when the call times out or is cancelled (only
+   * when a timeout or signal applies to the call)
+   * @param {object} toolCall - Resolved tool call
+   * @param {object} toolInfo - Registered tool
+   * @param {object} context - Context from createContext
+   * @param {object} options - Execution options with timeout and signal
+   * @returns {Promise<*>} Value returned by the tool
+   */
+  async runTool(toolCall, toolInfo, context, { timeout, signal } = {}) {
+    // The batch may have been cancelled while middleware or approval was awaited
+    if (signal && signal.aborted) {
+      throw createStatusError('cancelled', 'Call was cancelled');
+    }
+
+    const limits = [timeout, toolInfo.timeout].filter(limit => limit > 0);
+    const limit = limits.length > 0 ? Math.min(...limits) : null;
+
+    // Runtimes without AbortController (Node 14) pass the caller's signal through
+    const controller = (limit || signal) && typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const toolSignal = controller ? controller.signal : signal;
+
+    // Calls the tool makes to other tools share its session and are cancelled with it
+    const callTool = (name, args = {}) => this.executeDirect(name, args, { signal: toolSignal, session: context.session });
+    let timer = null;
+    let onAbort = null;
+
+    const aborted = new Promise((resolve, reject) => {
+      const abort = (error) => {
+        if (controller) {
+          controller.abort(error);
         }
+        reject(error);
       };
+
+      onAbort = () => abort(createStatusError('cancelled', 'Call was cancelled'));
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      if (limit) {
+        timer = setTimeout(() => {
+          abort(createStatusError('timeout', `Tool '${toolCall.tool}' timed out after ${limit}ms`));
+        }, limit);
+      }
+    });
+
+    try {
+      return await Promise.race([
+        Promise.resolve(toolInfo.fn(toolCall.args, { ...context, signal: toolSignal, callTool })),
+        aborted
+      ]);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
     }
   }
 
@@ -200,16 +623,25 @@ export class Executor extends EventEmitter {
 
     const { 
       parallel = false, 
+      dag = false,
       continueOnError = true,
-      maxConcurrency = 5 
+      maxConcurrency = 5,
+      timeout,
+      signal,
+      session,
+      onProgress,
+      retry
     } = options;
+    const callOptions = { timeout, signal, session, onProgress, retry };
 
-    this.logger.info(`Executing ${toolCalls.length} tool calls (parallel: ${parallel})`);
+    this.logger.info(`Executing ${toolCalls.length} tool calls (parallel: ${parallel}, dag: ${dag})`);
 
-    if (parallel) {
-      return this.executeParallel(toolCalls, { continueOnError, maxConcurrency });
+    if (dag) {
+      return this.executeGraph(toolCalls, { continueOnError, maxConcurrency, callOptions });
+    } else if (parallel) {
+      return this.executeParallel(toolCalls, { continueOnError, maxConcurrency, callOptions });
     } else {
-      return this.executeSequential(toolCalls, { continueOnError });
+      return this.executeSequential(toolCalls, { continueOnError, callOptions });
     }
   }
 
@@ -219,12 +651,12 @@ export class Executor extends EventEmitter {
    * @param {object} options - Execution options
    * @returns {Promise<Array>} Results array
    */
-  async executeSequential(toolCalls, { continueOnError = true }) {
+  async executeSequential(toolCalls, { continueOnError = true, callOptions = {} }) {
     const results = [];
 
     for (const [index, toolCall] of toolCalls.entries()) {
       try {
-        const result = await this.executeSingle(toolCall);
+        const result = await this.executeSingle(toolCall, callOptions);
         results.push(result);
         
         // Stop on error if continueOnError is false
@@ -233,17 +665,7 @@ export class Executor extends EventEmitter {
           break;
         }
       } catch (error) {
-        const errorResult = {
-          tool: toolCall.tool,
-          error: error.message,
-          metadata: {
-            callId: `error_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-            duration: 0,
-            timestamp: new Date().toISOString()
-          }
-        };
-        
-        results.push(errorResult);
+        results.push(this.createErrorResult(toolCall, error.message));
         
         if (!continueOnError) {
           this.logger.warn(`Stopping execution at index ${index} due to error`);
@@ -257,61 +679,155 @@ export class Executor extends EventEmitter {
 
   /**
    * Execute tool calls in parallel
+   * Runs up to maxConcurrency calls at once, starting the next call as soon as
+   * one finishes. With continueOnError false, no new calls start after an error;
+   * calls already running are left to finish.
    * @param {Array} toolCalls - Tool calls to execute
    * @param {object} options - Execution options
-   * @returns {Promise<Array>} Results array
+   * @returns {Promise<Array>} Results of the calls that were started, in input order
    */
-  async executeParallel(toolCalls, { continueOnError = true, maxConcurrency = 5 }) {
-    // Batch tool calls to respect concurrency limits
-    const batches = [];
-    for (let i = 0; i < toolCalls.length; i += maxConcurrency) {
-      batches.push(toolCalls.slice(i, i + maxConcurrency));
-    }
+  async executeParallel(toolCalls, { continueOnError = true, maxConcurrency = 5, callOptions = {} }) {
+    const results = new Array(toolCalls.length);
+    const poolSize = Math.min(Math.max(1, Math.floor(maxConcurrency) || 1), toolCalls.length);
+    let next = 0;
+    let stopped = false;
 
-    const allResults = [];
+    const worker = async () => {
+      while (!stopped && next < toolCalls.length) {
+        const index = next++;
+        const toolCall = toolCalls[index];
 
-    for (const batch of batches) {
-      const batchPromises = batch.map(toolCall => 
-        this.executeSingle(toolCall).catch(error => ({
-          tool: toolCall.tool,
-          error: error.message,
-          metadata: {
-            callId: `error_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
-            duration: 0,
-            timestamp: new Date().toISOString()
-          }
-        }))
-      );
+        results[index] = await this.executeSingle(toolCall, callOptions)
+          .catch(error => this.createErrorResult(toolCall, error.message));
 
-      try {
-        const batchResults = await Promise.all(batchPromises);
-        allResults.push(...batchResults);
-        
-        // Check for errors if continueOnError is false
-        if (!continueOnError && batchResults.some(result => result.error)) {
-          this.logger.warn('Stopping parallel execution due to error');
-          break;
+        // Stop scheduling if continueOnError is false
+        if (results[index].error && !continueOnError && !stopped) {
+          this.logger.warn(`Stopping parallel execution at index ${index} due to error`);
+          stopped = true;
         }
+      }
+    };
+
+    await Promise.all(Array.from({ length: poolSize }, worker));
+
+    // Calls are started in order, so the started ones are the first `next`
+    return results.slice(0, next);
+  }
+
+  /**
+   * Execute tool calls as a dependency graph
+   * Argument values of the form { "$ref": "<call id>.<path>" } are replaced with
+   * a value from an earlier call's result (e.g. "call_1.result.id"), and a call
+   * only starts once the calls it references have succeeded. Independent calls
+   * run in parallel, up to maxConcurrency at once.
+   * Calls with unknown, ambiguous or circular references, references that do not
+   * resolve, or failed dependencies get error results without being run.
+   * @param {Array} toolCalls - Tool calls to execute, referenced by their id
+   * @param {object} options - Execution options
+   * @returns {Promise<Array>} Results in input order (calls never started after
+   *   stopping on an error are left out)
+   */
+  async executeGraph(toolCalls, { continueOnError = true, maxConcurrency = 5, callOptions = {} }) {
+    const results = new Array(toolCalls.length);
+    const nodes = planGraph(toolCalls);
+    const running = new Map();
+    const poolSize = Math.max(1, Math.floor(maxConcurrency) || 1);
+    let stopped = false;
+
+    const settle = (node, result) => {
+      results[node.index] = node.deps.length > 0
+        ? { ...result, metadata: { ...result.metadata, dependsOn: node.deps.map(dep => dep.id) } }
+        : result;
+
+      if (result.error && !continueOnError && !stopped) {
+        this.logger.warn(`Stopping graph execution at index ${node.index} due to error`);
+        stopped = true;
+      }
+    };
+
+    const start = (node) => {
+      let toolCall;
+      try {
+        const lookup = (id) => results[node.deps.find(dep => dep.id === id).index];
+        toolCall = { ...node.toolCall, args: resolveReferences(node.toolCall.args, lookup) };
       } catch (error) {
-        this.logger.error('Batch execution failed:', error.message);
-        
-        if (!continueOnError) {
-          break;
+        settle(node, this.createErrorResult(node.toolCall, error.message));
+        return;
+      }
+
+      const promise = this.executeSingle(toolCall, callOptions)
+        .catch(error => this.createErrorResult(toolCall, error.message))
+        .then(result => {
+          running.delete(node.index);
+          settle(node, result);
+        });
+
+      running.set(node.index, promise);
+    };
+
+    while (!stopped) {
+      // Settling one call can unblock or fail others, so repeat until nothing changes
+      let changed = true;
+      while (changed && !stopped) {
+        changed = false;
+
+        for (const node of nodes) {
+          if (stopped || results[node.index] || running.has(node.index)) continue;
+
+          const failed = node.deps.find(dep => results[dep.index] && results[dep.index].error);
+
+          if (node.error) {
+            settle(node, this.createErrorResult(node.toolCall, node.error));
+          } else if (failed) {
+            settle(node, this.createErrorResult(node.toolCall, `Dependency '${failed.id}' failed`));
+          } else if (running.size < poolSize && node.deps.every(dep => results[dep.index])) {
+            start(node);
+          } else {
+            continue;
+          }
+
+          changed = true;
         }
       }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
     }
 
-    return allResults;
+    // Calls already running when execution stopped still finish
+    await Promise.all(running.values());
+
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Create the result for a call that failed outside executeSingle
+   * @param {object} toolCall - Tool call
+   * @param {string} message - Error message
+   * @returns {object} Error result
+   */
+  createErrorResult(toolCall, message) {
+    return {
+      tool: toolCall.tool,
+      error: message,
+      status: 'error',
+      metadata: {
+        callId: toolCall.id || `error_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+        duration: 0,
+        timestamp: new Date().toISOString()
+      }
+    };
   }
 
   /**
    * Execute a tool by name directly
    * @param {string} name - Tool name
    * @param {object} args - Arguments
+   * @param {object} options - Execution options (see executeSingle)
    * @returns {Promise<*>} Tool result
    */
-  async executeDirect(name, args = {}) {
-    const result = await this.executeSingle({ tool: name, args });
+  async executeDirect(name, args = {}, options = {}) {
+    const result = await this.executeSingle({ tool: name, args }, options);
     
     if (result.error) {
       throw new Error(result.error);
@@ -320,6 +836,315 @@ export class Executor extends EventEmitter {
     return result.result;
   }
 
+  /**
+   * Resolve a tool name from a model against the registry
+   * Tries, in order: the exact name, a registered alias, the name with case and
+   * separators normalized (getWeather → get_weather), and, if fuzzy matching is
+   * enabled, the closest registered name by edit distance
+   * @param {string} name - Tool name as called
+   * @returns {object} Result with name (null if unresolved), match ('exact', 'alias',
+   *   'normalized' or 'fuzzy') and suggestions (close names, when unresolved)
+   */
+  resolveToolName(name) {
+    if (this.registry.has(name)) {
+      return { name, match: 'exact', suggestions: [] };
+    }
+
+    if (this.aliases.has(name)) {
+      return { name: this.aliases.get(name), match: 'alias', suggestions: [] };
+    }
+
+    const key = normalizeToolName(String(name));
+    const candidates = [...this.registry.keys(), ...this.aliases.keys()].map(candidate => ({
+      name: this.aliases.get(candidate) || candidate,
+      distance: editDistance(key, normalizeToolName(candidate))
+    }));
+
+    // Only accept a match that picks out a single tool
+    const closest = (maxDistance) => {
+      const matches = candidates.filter(candidate => candidate.distance <= maxDistance);
+      const best = Math.min(...matches.map(candidate => candidate.distance));
+      const names = new Set(matches.filter(candidate => candidate.distance === best).map(candidate => candidate.name));
+      return names.size === 1 ? [...names][0] : null;
+    };
+
+    const { normalize, fuzzy, maxDistance } = this.nameResolution;
+
+    const normalized = normalize ? closest(0) : null;
+    if (normalized) {
+      return { name: normalized, match: 'normalized', suggestions: [] };
+    }
+
+    const fuzzyMatch = fuzzy ? closest(maxDistance) : null;
+    if (fuzzyMatch) {
+      return { name: fuzzyMatch, match: 'fuzzy', suggestions: [] };
+    }
+
+    // Suggest up to three names within half the called name's length
+    const suggestions = [];
+    for (const candidate of candidates.sort((a, b) => a.distance - b.distance)) {
+      if (candidate.distance > Math.max(2, Math.floor(key.length / 2)) || suggestions.length === 3) break;
+      if (!suggestions.includes(candidate.name)) suggestions.push(candidate.name);
+    }
+
+    return { name: null, match: null, suggestions };
+  }
+
+  /**
+   * Configure how tool names from models are resolved
+   * @param {object} options - Resolution options
+   * @param {boolean} options.normalize - Ignore case and separators (default: true)
+   * @param {boolean} options.fuzzy - Accept the closest name by edit distance (default: false)
+   * @param {number} options.maxDistance - Largest edit distance accepted when fuzzy (default: 2)
+   */
+  setNameResolution(options = {}) {
+    this.nameResolution = { ...this.nameResolution, ...options };
+    this.logger.info('Name resolution updated', this.nameResolution);
+  }
+
+  /**
+   * Configure schema-driven argument coercion for all tools
+   * Tools registered with their own coerceTypes or useDefaults keep those
+   * @param {object} options - Coercion options
+   * @param {boolean|string} options.coerceTypes - Coerce arguments to schema types, e.g. "5" → 5 (default: false)
+   * @param {boolean} options.useDefaults - Fill in omitted arguments from schema defaults (default: false)
+   */
+  setArgumentCoercion(options = {}) {
+    this.argumentCoercion = { ...this.argumentCoercion, ...options };
+    this.logger.info('Argument coercion updated', this.argumentCoercion);
+  }
+
+  /**
+   * Get the argument coercion that applies to a tool
+   * @param {object} toolInfo - Registered tool
+   * @returns {object} Options with coerceTypes and useDefaults
+   */
+  getArgumentCoercion(toolInfo) {
+    const { coerceTypes, useDefaults } = toolInfo.coercion;
+
+    return {
+      coerceTypes: coerceTypes !== undefined ? coerceTypes : this.argumentCoercion.coerceTypes,
+      useDefaults: useDefaults !== undefined ? useDefaults : this.argumentCoercion.useDefaults
+    };
+  }
+
+  /**
+   * Set how results that do not match a tool's output schema are handled
+   * Tools registered with their own outputValidation keep it
+   * @param {string} mode - 'warn', 'error', 'strip' or 'off'
+   */
+  setOutputValidation(mode) {
+    if (!OUTPUT_VALIDATION_MODES.includes(mode)) {
+      throw new Error(`Output validation must be one of: ${OUTPUT_VALIDATION_MODES.join(', ')}`);
+    }
+
+    this.outputValidation = mode;
+    this.logger.info(`Output validation set to '${mode}'`);
+  }
+
+  /**
+   * Set the handler asked to approve calls to tools registered with requiresApproval
+   * The handler receives { callId, tool, args, requestedTool, session, signal } and
+   * returns (or resolves to) 'approve_once', 'approve_always' or 'deny'; true and
+   * false are taken as 'approve_once' and 'deny'. Without a handler, such calls are denied.
+   * @param {Function|null} handler - Approval handler, or null to remove it
+   */
+  setApprovalHandler(handler) {
+    if (handler !== null && typeof handler !== 'function') {
+      throw new Error('Approval handler must be a function or null');
+    }
+
+    this.approvalHandler = handler;
+    this.logger.info(`Approval handler ${handler ? 'set' : 'removed'}`);
+  }
+
+  /**
+   * Forget tools approved with 'approve_always', so they are asked about again
+   * @param {string} name - Only forget this tool (default: all tools)
+   * @param {object} session - Only forget approvals given in this session (default: all sessions)
+   */
+  clearApprovals(name, session) {
+    if (session !== undefined) {
+      const approved = this.getSessionApprovals(session);
+
+      if (approved && name === undefined) {
+        approved.clear();
+      } else if (approved) {
+        approved.delete(name);
+      }
+      return;
+    }
+
+    if (name === undefined) {
+      this.approvedTools.clear();
+      this.objectApprovals = new WeakMap();
+      this.revokedApprovals.clear();
+      return;
+    }
+
+    for (const approved of this.approvedTools.values()) {
+      approved.delete(name);
+    }
+
+    // Sessions keyed by object cannot be enumerated, so revoke what they hold
+    this.revokedApprovals.set(name, this.approvalCount);
+  }
+
+  /**
+   * Get the tools approved with 'approve_always' in a session
+   * Sessions are told apart by their id, or by the session object itself if it has
+   * none (held weakly, so finished sessions are not kept alive); calls made without
+   * a session share one
+   * @param {object} session - Session passed to execute
+   * @param {boolean} create - Create the record if the session has none (default: false)
+   * @returns {Map|null} Approved tool names, mapped to their approval number, or null
+   */
+  getSessionApprovals(session, create = false) {
+    const byObject = Boolean(session) && session.id === undefined;
+    const store = byObject ? this.objectApprovals : this.approvedTools;
+    const key = byObject ? session : (session ? session.id : null);
+
+    if (create && !store.has(key)) {
+      store.set(key, new Map());
+    }
+
+    return store.get(key) || null;
+  }
+
+  /**
+   * Check whether a tool was approved with 'approve_always' in a session
+   * @param {object} session - Session passed to execute
+   * @param {string} name - Tool name
+   * @returns {boolean} True if the tool is approved and the approval was not cleared
+   */
+  hasApproval(session, name) {
+    const approved = this.getSessionApprovals(session);
+    if (!approved || !approved.has(name)) return false;
+
+    return approved.get(name) > (this.revokedApprovals.get(name) || 0);
+  }
+
+  /**
+   * Ask for approval of a call, if its tool requires it
+   * @param {string} callId - Call ID
+   * @param {object} toolCall - Resolved tool call, with validated args
+   * @param {object} toolInfo - Registered tool
+   * @param {object} options - Execution options with session and signal
+   * @returns {Promise<string|null>} 'approve_once', 'approve_always' or 'session' (approved
+   *   earlier in the session), or null if no approval was needed
+   */
+  async requestApproval(callId, toolCall, toolInfo, options) {
+    const required = typeof toolInfo.requiresApproval === 'function'
+      ? toolInfo.requiresApproval(toolCall.args)
+      : toolInfo.requiresApproval;
+
+    if (!required) return null;
+
+    if (this.hasApproval(options.session, toolCall.tool)) return 'session';
+
+    let decision = 'deny';
+
+    if (this.approvalHandler) {
+      decision = await this.approvalHandler({
+        callId,
+        tool: toolCall.tool,
+        args: deepClone(toolCall.args),
+        ...(toolCall.requestedTool && { requestedTool: toolCall.requestedTool }),
+        session: options.session || null,
+        signal: options.signal || null
+      });
+
+      // A decision that arrives after the batch was cancelled is not acted on
+      if (options.signal && options.signal.aborted) {
+        throw createStatusError('cancelled', 'Call was cancelled');
+      }
+
+      if (decision === true) decision = 'approve_once';
+      if (decision === false) decision = 'deny';
+
+      if (!APPROVAL_DECISIONS.includes(decision)) {
+        throw new Error(`Approval handler must return one of: ${APPROVAL_DECISIONS.join(', ')}`);
+      }
+    } else {
+      this.logger.warn(`Tool '${toolCall.tool}' requires approval, but no approval handler is set`);
+    }
+
+    this.emit('approval', {
+      callId,
+      tool: toolCall.tool,
+      args: deepClone(toolCall.args),
+      decision,
+      timestamp: new Date().toISOString()
+    });
+
+    if (decision === 'deny') {
+      throw createStatusError('denied', `Call to '${toolCall.tool}' was denied`);
+    }
+
+    if (decision === 'approve_always') {
+      this.getSessionApprovals(options.session, true).set(toolCall.tool, ++this.approvalCount);
+    }
+
+    return decision;
+  }
+
+  /**
+   * Validate a tool's result against its output schema
+   * @param {string} name - Tool name
+   * @param {object} toolInfo - Registered tool
+   * @param {*} output - Value returned by the tool
+   * @param {string} callId - Call ID, for the event
+   * @returns {object} Result with result (stripped, in strip mode) and validation errors
+   */
+  validateOutput(name, toolInfo, output, callId) {
+    const mode = toolInfo.outputValidation || this.outputValidation;
+
+    if (!toolInfo.outputSchema || mode === 'off') {
+      return { result: output, errors: [] };
+    }
+
+    const validation = schemaValidator.validate(
+      name + OUTPUT_SCHEMA_SUFFIX,
+      output,
+      mode === 'strip' ? { removeAdditional: 'all' } : {}
+    );
+
+    if (validation.isValid) {
+      return { result: validation.data, errors: [] };
+    }
+
+    const errorMsg = formatErrorMessage(validation.errors);
+    this.logger.warn(`Tool '${name}' returned a result not matching its output schema: ${errorMsg}`);
+
+    this.emit('output_validation_error', {
+      callId,
+      tool: name,
+      mode,
+      errors: validation.errors,
+      timestamp: new Date().toISOString()
+    });
+
+    if (mode === 'error') {
+      const error = new Error(`Output validation failed: ${errorMsg}`);
+      error.validationErrors = validation.errors;
+      throw error;
+    }
+
+    return { result: validation.data, errors: validation.errors };
+  }
+
+  /**
+   * Remove the aliases registered for a tool
+   * @param {string} name - Tool name
+   */
+  removeAliases(name) {
+    for (const [alias, toolName] of this.aliases.entries()) {
+      if (toolName === name) {
+        this.aliases.delete(alias);
+      }
+    }
+  }
+
   /**
    * Check if a tool is registered
    * @param {string} name - Tool name
@@ -339,6 +1164,8 @@ export class Executor extends EventEmitter {
     return info ? {
       name,
       description: info.description,
+      aliases: [...info.aliases],
+      requiresApproval: Boolean(info.requiresApproval),
       schema: deepClone(info.schema),
       outputSchema: info.outputSchema ? deepClone(info.outputSchema) : null,
       metadata: deepClone(info.metadata)
@@ -356,6 +1183,8 @@ export class Executor extends EventEmitter {
       tools.push({
         name,
         description: info.description,
+        aliases: [...info.aliases],
+        requiresApproval: Boolean(info.requiresApproval),
         schema: deepClone(info.schema),
         outputSchema: info.outputSchema ? deepClone(info.outputSchema) : null,
         metadata: deepClone(info.metadata)
@@ -410,7 +1239,10 @@ export class Executor extends EventEmitter {
     const existed = this.registry.delete(name);
     
     if (existed) {
+      this.removeAliases(name);
+      this.clearApprovals(name);
       schemaValidator.removeSchema(name);
+      schemaValidator.removeSchema(name + OUTPUT_SCHEMA_SUFFIX);
       this.logger.info(`Unregistered tool: ${name}`);
       this.emit('tool_unregistered', { name });
     }
@@ -424,6 +1256,8 @@ export class Executor extends EventEmitter {
   clear() {
     const count = this.registry.size;
     this.registry.clear();
+    this.aliases.clear();
+    this.clearApprovals();
     schemaValidator.clear();
     
     this.logger.info(`Cleared ${count} tools`);
@@ -461,4 +1295,185 @@ export class Executor extends EventEmitter {
       }))
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Reduce a tool name to a comparison key, ignoring case and separators
+ * @param {string} name - Tool name
+ * @returns {string} Lowercase name without spaces, hyphens, underscores or dots
+ */
+function normalizeToolName(name) {
+  return name.toLowerCase().replace(/[\s_.-]+/g, '');
+}
+
+/**
+ * Create the error for a call that did not complete normally
+ * @param {string} status - 'timeout', 'cancelled' or 'denied'
+ * @param {string} message - Error message
+ * @returns {Error} Error carrying the status
+ */
+function createStatusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Work out the delay before retrying a failed attempt
+ * @param {object} policy - Retry policy
+ * @param {number} attempt - Number of the attempt that failed
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(policy, attempt) {
+  const delay = Math.min(policy.delay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+  return Math.round(delay * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * Wait before a retry, stopping early if the call is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Signal that cancels the call
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createStatusError('cancelled', 'Call was cancelled'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createStatusError('cancelled', 'Call was cancelled'));
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Check whether an argument value is a reference to another call's result
+ * @param {*} value - Argument value
+ * @returns {boolean} True for { "$ref": "<call id>.<path>" }
+ */
+function isReference(value) {
+  return isPlainObject(value) && typeof value.$ref === 'string' && Object.keys(value).length === 1;
+}
+
+/**
+ * Split a reference into the call ID and the path into that call's result
+ * @param {string} ref - Reference such as "call_1.result.items[0].id"
+ * @returns {object} Object with id and path segments
+ */
+function parseReference(ref) {
+  const [id, ...path] = ref.replace(/\[(\d+)\]/g, '.$1').split('.');
+  return { id, path: path.filter(Boolean) };
+}
+
+/**
+ * Collect the IDs of the calls referenced anywhere in a value
+ * @param {*} value - Arguments, or a value nested in them
+ * @param {Set} ids - Set the IDs are added to
+ * @returns {Set} The same set
+ */
+function collectReferences(value, ids = new Set()) {
+  if (isReference(value)) {
+    ids.add(parseReference(value.$ref).id);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, ids));
+  } else if (isPlainObject(value)) {
+    Object.values(value).forEach(item => collectReferences(item, ids));
+  }
+
+  return ids;
+}
+
+/**
+ * Replace references in a value with values from earlier results
+ * @param {*} value - Arguments, or a value nested in them
+ * @param {Function} lookup - Returns the result of the call with a given ID
+ * @returns {*} Copy of the value with references resolved
+ */
+function resolveReferences(value, lookup) {
+  if (isReference(value)) {
+    const { id, path } = parseReference(value.$ref);
+    const source = lookup(id);
+    const resolved = path.reduce((current, key) => (current == null ? undefined : current[key]), source);
+
+    if (resolved === undefined) {
+      throw new Error(`Reference '${value.$ref}' did not resolve to a value`);
+    }
+
+    return deepClone(resolved);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveReferences(item, lookup));
+  }
+
+  if (isPlainObject(value)) {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveReferences(item, lookup);
+    }
+    return resolved;
+  }
+
+  return value;
+}
+
+/**
+ * Work out the dependencies between tool calls from the references in their arguments
+ * @param {Array} toolCalls - Tool calls
+ * @returns {Array} Nodes with index, toolCall, deps (referenced nodes) and error
+ *   (why the call cannot run, if it cannot)
+ */
+function planGraph(toolCalls) {
+  const nodes = toolCalls.map((toolCall, index) => ({ index, toolCall, id: toolCall.id, deps: [], error: null }));
+  const byId = new Map();
+  const duplicates = new Set();
+
+  for (const node of nodes) {
+    if (node.id === undefined || node.id === null) continue;
+    if (byId.has(node.id)) duplicates.add(node.id);
+    byId.set(node.id, node);
+  }
+
+  for (const node of nodes) {
+    for (const id of collectReferences(node.toolCall.args)) {
+      if (!byId.has(id)) {
+        node.error = `Reference to unknown call '${id}'`;
+      } else if (duplicates.has(id)) {
+        node.error = `Reference to call '${id}' is ambiguous: the ID is used more than once`;
+      } else {
+        node.deps.push(byId.get(id));
+      }
+    }
+  }
+
+  // Depth-first search for cycles; every call on a cycle is reported
+  const state = new Map();
+  const visit = (node, trail) => {
+    if (state.get(node) === 'done') return;
+
+    if (state.get(node) === 'visiting') {
+      const cycle = trail.slice(trail.indexOf(node));
+      const description = [...cycle, node].map(item => item.id).join(' → ');
+      cycle.forEach(item => { item.error = item.error || `Dependency cycle: ${description}`; });
+      return;
+    }
+
+    state.set(node, 'visiting');
+    node.deps.forEach(dep => visit(dep, [...trail, node]));
+    state.set(node, 'done');
+  };
+
+  nodes.forEach(node => visit(node, []));
+
+  return nodes;
+}
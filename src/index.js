@@ -4,11 +4,30 @@
  * Now with full Model Context Protocol (MCP) JSON-RPC 2.0 compliance
  */
 
-import { parse, parseMultiple, validateToolCalls, StreamingParser } from './parser.js';
+import {
+  parse, parseMultiple, parseDetailed, parseDiagnostics, validateToolCalls, StreamingParser,
+  registerFormat, unregisterFormat, listFormats
+} from './parser.js';
+import { ToolCallAssembler } from './assembler.js';
 import { Executor } from './executor.js';
-import { Logger } from './utils.js';
+import { Logger, iterateChunks } from './utils.js';
 import { MCPMessageHandler, createRequest, createNotification } from './rpc.js';
 
+/**
+ * Length of the longest server-sent event field name with its colon ('retry:'),
+ * the text needed to tell an event stream from plain text
+ */
+const SSE_FIELD_LENGTH = 6;
+
+/**
+ * Check whether streamed text is a server-sent event stream
+ * @param {string} text - Start of the stream
+ * @returns {boolean} True if the text starts with an SSE field
+ */
+function isServerSentEvents(text) {
+  return /^\s*(data|event|id|retry):/.test(text);
+}
+
 /**
  * Main MCP runtime class with JSON-RPC 2.0 protocol support
  */
@@ -16,6 +35,7 @@ class MCPRuntime {
   constructor() {
     this.logger = new Logger(false);
     this.executor = new Executor(this.logger);
+    this.executor.runtime = this;
     this.messageHandler = new MCPMessageHandler(this.executor, this.logger);
     this.streamingParser = null;
     
@@ -35,6 +55,14 @@ class MCPRuntime {
    * @param {object} options.schema - JSON Schema for argument validation (inputSchema)
    * @param {object} options.outputSchema - JSON Schema for result validation
    * @param {string} options.description - Human-readable description
+   * @param {string[]} options.aliases - Other names models may use to call the tool
+   * @param {boolean|string} options.coerceTypes - Coerce arguments to schema types (default: runtime setting)
+   * @param {boolean} options.useDefaults - Fill in omitted arguments from schema defaults (default: runtime setting)
+   * @param {string} options.outputValidation - How results not matching outputSchema are handled (default: runtime setting)
+   * @param {number} options.timeout - Abort calls that run longer than this many milliseconds
+   * @param {object} options.retry - Retry policy for failed calls (overrides the one passed to execute)
+   * @param {boolean|Function} options.requiresApproval - Ask the approval handler before each call,
+   *   or only when requiresApproval(args) returns true
    * @returns {boolean} True if registration succeeded
    * 
    * @example
@@ -60,24 +88,102 @@ class MCPRuntime {
   /**
    * Parse LLM response and extract tool calls
    * @param {string|object} llmResponse - Response from LLM (text, JSON, or object)
+   * @param {object} options - Parsing options
+   * @param {boolean} options.repair - Repair malformed JSON when strict parsing finds nothing (default: true)
+   * @param {string[]} options.formats - Only recognise calls in these formats (default: all registered formats)
    * @returns {Array|null} Array of parsed tool calls or null if none found
    * 
    * @example
    * const calls = mcp.parse('{"tool_call":{"tool":"add_numbers","args":{"x":2,"y":3}}}');
    * // Returns: [{ tool: 'add_numbers', args: { x: 2, y: 3 } }]
+   *
+   * const repaired = mcp.parse("{tool: 'add_numbers', args: {x: 2, y: 3,}}");
+   * // Returns: [{ tool: 'add_numbers', args: { x: 2, y: 3 }, repairs: ['unquoted_keys', 'single_quotes', 'trailing_commas'] }]
    */
-  parse(llmResponse) {
-    const toolCalls = parse(llmResponse);
+  parse(llmResponse, options = {}) {
+    const toolCalls = parse(llmResponse, options);
     return toolCalls ? validateToolCalls(toolCalls) : null;
   }
 
+  /**
+   * Parse LLM response, returning the prose and the tool calls separately
+   * @param {string|object} llmResponse - Response from LLM (text, JSON, or object)
+   * @param {object} options - Parsing options (see parse)
+   * @returns {object} Result with text (prose with tool calls removed), toolCalls
+   *   (each with start and end offsets into the response), spans (removed ranges)
+   *   and finalAnswer (the text after a ReAct "Final Answer:", or null)
+   * 
+   * @example
+   * const { text, toolCalls } = mcp.parseDetailed('Adding now. {"tool":"add_numbers","args":{"x":2,"y":3}}');
+   * // text: 'Adding now.'
+   * // toolCalls: [{ tool: 'add_numbers', args: { x: 2, y: 3 }, start: 12, end: 55 }]
+   *
+   * const { finalAnswer } = mcp.parseDetailed('Thought: I know this.\nFinal Answer: 5');
+   * // finalAnswer: '5'
+   */
+  parseDetailed(llmResponse, options = {}) {
+    const detailed = parseDetailed(llmResponse, options);
+    return { ...detailed, toolCalls: validateToolCalls(detailed.toolCalls) };
+  }
+
+  /**
+   * Parse LLM response, explaining which candidates were accepted and why others were not
+   * Useful for tuning prompts when parse() returns null or drops a call
+   * @param {string|object} llmResponse - Response from LLM (text, JSON, or object)
+   * @param {object} options - Parsing options (see parse)
+   * @returns {object} Result with toolCalls (as parse) and candidates, each with start and end
+   *   offsets, text, accepted, calls, and a reason (invalid_json, missing_args, invalid_name,
+   *   no_tool_call) when rejected
+   * 
+   * @example
+   * const { candidates } = mcp.parseDiagnostics('{"tool":"add_numbers","x":2}');
+   * // candidates: [{ start: 0, end: 28, text: '...', accepted: false, reason: 'missing_args', calls: [] }]
+   */
+  parseDiagnostics(llmResponse, options = {}) {
+    return parseDiagnostics(llmResponse, options);
+  }
+
+  /**
+   * Register a tool call format adapter, so parsing recognises another call envelope
+   * Formats are shared by every runtime in the process, not kept per instance
+   * @param {string} name - Format name (used in the formats parse option)
+   * @param {object} adapter - Adapter with detect(obj) and normalize(obj) returning {tool, args, id}
+   * 
+   * @example
+   * mcp.registerFormat('react_json', {
+   *   detect: (obj) => typeof obj.action === 'string' && obj.action_input !== undefined,
+   *   normalize: (obj) => ({ tool: obj.action, args: obj.action_input })
+   * });
+   */
+  registerFormat(name, adapter) {
+    registerFormat(name, adapter);
+  }
+
+  /**
+   * Remove a tool call format adapter
+   * @param {string} name - Format name
+   * @returns {boolean} True if the format was removed
+   */
+  unregisterFormat(name) {
+    return unregisterFormat(name);
+  }
+
+  /**
+   * List registered tool call formats
+   * @returns {string[]} Format names, in detection order
+   */
+  listFormats() {
+    return listFormats();
+  }
+
   /**
    * Parse multiple tool calls from response
    * @param {string|object} llmResponse - Response containing multiple tool calls
+   * @param {object} options - Parsing options (see parse)
    * @returns {Array|null} Array of parsed tool calls or null if none found
    */
-  parseMultiple(llmResponse) {
-    const toolCalls = parseMultiple(llmResponse);
+  parseMultiple(llmResponse, options = {}) {
+    const toolCalls = parseMultiple(llmResponse, options);
     return toolCalls ? validateToolCalls(toolCalls) : null;
   }
 
@@ -86,9 +192,17 @@ class MCPRuntime {
    * @param {Array} toolCalls - Array of tool calls to execute
    * @param {object} options - Execution options
    * @param {boolean} options.parallel - Execute calls in parallel (default: false)
+   * @param {boolean} options.dag - Execute calls as a dependency graph, resolving { "$ref": "<call id>.result..." }
+   *   argument values from earlier results and running independent calls in parallel (default: false)
    * @param {boolean} options.continueOnError - Continue execution if a call fails (default: true)
    * @param {number} options.maxConcurrency - Max concurrent executions when parallel (default: 5)
-   * @returns {Promise<Array>} Array of results with tool, result/error, and metadata
+   * @param {number} options.timeout - Per-call timeout in milliseconds; calls that run over get status 'timeout'
+   * @param {AbortSignal} options.signal - Signal that cancels the batch; unfinished calls get status 'cancelled'
+   * @param {object} options.session - Session or client info passed to tools in their context
+   * @param {Function} options.onProgress - Called with progress updates reported by tools
+   * @param {object} options.retry - Retry policy for tools registered without one:
+   *   maxAttempts, delay, factor, maxDelay, jitter and retryable(error, attempt)
+   * @returns {Promise<Array>} Array of results with tool, result/error, status, and metadata
    * 
    * @example
    * const results = await mcp.execute([
@@ -182,6 +296,34 @@ class MCPRuntime {
     return this.executor.getStats();
   }
 
+  // Middleware methods
+
+  /**
+   * Add middleware run around each tool call
+   * @param {Function} middleware - Middleware function (ctx, next) => result; ctx holds callId,
+   *   tool, args, requestedTool, session and state (see Executor.use)
+   * @param {object} options - Middleware options
+   * @param {string|string[]} options.tools - Only run for these tools (default: all tools)
+   * 
+   * @example
+   * mcp.use(async (ctx, next) => {
+   *   if (!currentUser.canWrite) throw new Error('Not allowed');
+   *   return next();
+   * }, { tools: ['delete_file'] });
+   */
+  use(middleware, options = {}) {
+    this.executor.use(middleware, options);
+  }
+
+  /**
+   * Remove middleware added with use
+   * @param {Function} middleware - Middleware function to remove
+   * @returns {boolean} True if middleware was removed
+   */
+  removeMiddleware(middleware) {
+    return this.executor.removeMiddleware(middleware);
+  }
+
   // Event emitter methods
 
   /**
@@ -244,6 +386,86 @@ class MCPRuntime {
     this.executor.setStrict(enabled);
   }
 
+  /**
+   * Configure how tool names from models are resolved against the registry
+   * Case and separators are ignored by default (getWeather → get_weather)
+   * @param {object} options - Resolution options
+   * @param {boolean} options.normalize - Ignore case and separators (default: true)
+   * @param {boolean} options.fuzzy - Accept the closest registered name by edit distance (default: false)
+   * @param {number} options.maxDistance - Largest edit distance accepted when fuzzy (default: 2)
+   * 
+   * @example
+   * mcp.setNameResolution({ fuzzy: true }); // 'get_wether' runs 'get_weather'
+   */
+  setNameResolution(options) {
+    this.executor.setNameResolution(options);
+  }
+
+  /**
+   * Configure schema-driven argument coercion for all tools
+   * Coerced arguments are reported as coercedArgs in result metadata
+   * @param {object} options - Coercion options
+   * @param {boolean|string} options.coerceTypes - Coerce arguments to schema types, e.g. "5" → 5 (default: false)
+   * @param {boolean} options.useDefaults - Fill in omitted arguments from schema defaults (default: false)
+   * 
+   * @example
+   * mcp.setArgumentCoercion({ coerceTypes: true, useDefaults: true });
+   */
+  setArgumentCoercion(options) {
+    this.executor.setArgumentCoercion(options);
+  }
+
+  /**
+   * Set how results that do not match a tool's output schema are handled
+   * Mismatches emit an 'output_validation_error' event in every mode but 'off'
+   * @param {string} mode - 'warn' (keep the result, listing validationErrors), 'error' (fail the call),
+   *   'strip' (remove properties the schema does not define) or 'off'
+   * 
+   * @example
+   * mcp.setOutputValidation('error');
+   */
+  setOutputValidation(mode) {
+    this.executor.setOutputValidation(mode);
+  }
+
+  /**
+   * Set the handler asked to approve calls to tools registered with requiresApproval
+   * Calls wait for the decision; denied calls get status 'denied', as do all calls
+   * that need approval while no handler is set
+   * @param {Function|null} handler - Async function ({ callId, tool, args, requestedTool, session, signal })
+   *   returning 'approve_once', 'approve_always' (for later calls in the same session) or 'deny'
+   * 
+   * @example
+   * mcp.setApprovalHandler(async ({ tool, args }) =>
+   *   confirm(`Allow ${tool}(${JSON.stringify(args)})?`) ? 'approve_once' : 'deny'
+   * );
+   */
+  setApprovalHandler(handler) {
+    this.executor.setApprovalHandler(handler);
+  }
+
+  /**
+   * Forget tools approved with 'approve_always', so they are asked about again
+   * @param {string} name - Only forget this tool (default: all tools)
+   * @param {object} session - Only forget approvals given in this session (default: all sessions)
+   */
+  clearApprovals(name, session) {
+    this.executor.clearApprovals(name, session);
+  }
+
+  /**
+   * Resolve a tool name as a model might call it
+   * @param {string} name - Tool name as called
+   * @returns {object} Result with name (null if unresolved), match and suggestions
+   * 
+   * @example
+   * mcp.resolveToolName('Add-Numbers');
+   * // Returns: { name: 'add_numbers', match: 'normalized', suggestions: [] }
+   */
+  resolveToolName(name) {
+    return this.executor.resolveToolName(name);
+  }
+
   /**
    * Get the current strict mode setting
    * @returns {boolean} True if strict mode is enabled
@@ -256,6 +478,8 @@ class MCPRuntime {
 
   /**
    * Create a new streaming parser for processing partial responses
+   * @param {object} options - Parsing options
+   * @param {string[]} options.formats - Only recognise calls in these formats (default: all registered formats)
    * @returns {StreamingParser} New streaming parser instance
    * 
    * @example
@@ -263,8 +487,8 @@ class MCPRuntime {
    * const newCalls = parser.addChunk('{"tool_call":{"tool":"add"');
    * const moreCalls = parser.addChunk(',"args":{"x":1,"y":2}}}');
    */
-  createStreamingParser() {
-    return new StreamingParser();
+  createStreamingParser(options = {}) {
+    return new StreamingParser(options);
   }
 
   /**
@@ -287,6 +511,21 @@ class MCPRuntime {
     }
   }
 
+  /**
+   * Create a new assembler for provider tool call delta streams
+   * @returns {ToolCallAssembler} New assembler instance
+   * 
+   * @example
+   * const assembler = mcp.createToolCallAssembler();
+   * for await (const event of anthropicStream) {
+   *   const calls = assembler.addChunk(event);
+   *   if (calls) await mcp.execute(calls);
+   * }
+   */
+  createToolCallAssembler() {
+    return new ToolCallAssembler();
+  }
+
   // MCP Protocol Methods
 
   /**
@@ -390,6 +629,130 @@ class MCPRuntime {
     return this.execute(toolCalls, options);
   }
 
+  /**
+   * Parse tool calls from a stream as it arrives, optionally executing them
+   * @param {AsyncIterable|ReadableStream} source - Stream of text, byte or provider event chunks
+   * @param {object} options - Streaming options
+   * @param {boolean} options.execute - Execute each call as soon as it is complete and yield results instead of calls (default: false)
+   * @param {StreamingParser|ToolCallAssembler} options.parser - Parser to feed chunks to (default: a ToolCallAssembler
+   *   when chunks are event objects or server-sent event text, otherwise a StreamingParser)
+   * @param {string[]} options.formats - Formats for the default StreamingParser to recognise (see parse)
+   * @param {number} options.timeout - Per-call timeout in milliseconds when executing (see execute)
+   * @param {AbortSignal} options.signal - Signal that cancels calls still running (see execute)
+   * @param {object} options.session - Session or client info passed to each tool (see execute)
+   * @param {Function} options.onProgress - Called with progress updates reported by tools (see execute)
+   * @param {object} options.retry - Retry policy for tools registered without one (see execute)
+   * @returns {AsyncGenerator} Tool calls, or with execute their results, in call order
+   * 
+   * @example
+   * const response = await fetch('/llm', { method: 'POST', body });
+   * for await (const result of mcp.stream(response.body, { execute: true })) {
+   *   console.log(result.tool, result.result);
+   * }
+   */
+  async *stream(source, options = {}) {
+    const { execute = false, timeout, signal, session, onProgress, retry } = options;
+    const callOptions = { timeout, signal, session, onProgress, retry };
+    let parser = options.parser || null;
+    const pending = [];
+
+    // Execution starts as soon as a call completes; results are yielded in call order
+    const enqueue = (toolCalls) => {
+      for (const toolCall of validateToolCalls(toolCalls)) {
+        if (!execute) {
+          pending.push({ settled: true, value: toolCall });
+          continue;
+        }
+
+        const entry = { settled: false };
+        entry.promise = this.executor.executeSingle(toolCall, callOptions).then(
+          (result) => Object.assign(entry, { settled: true, value: result }),
+          (error) => Object.assign(entry, { settled: true, error })
+        );
+        pending.push(entry);
+      }
+    };
+
+    const settle = (entry) => {
+      if (entry.error) throw entry.error;
+      return entry.value;
+    };
+
+    // Provider events, as objects or server-sent event text, go to a ToolCallAssembler
+    const createParser = (chunk) => (typeof chunk === 'string' && !isServerSentEvents(chunk)
+      ? new StreamingParser({ formats: options.formats })
+      : new ToolCallAssembler());
+
+    let undecided = '';
+    const chunks = iterateChunks(source)[Symbol.asyncIterator]();
+    let next = null;
+
+    try {
+      while (true) {
+        if (!next) next = chunks.next();
+
+        // Yield results that finish while the source is idle, without waiting for its next chunk
+        if (pending.length > 0) {
+          const finished = await Promise.race([
+            next.then(() => false, () => false),
+            pending[0].promise.then(() => true)
+          ]);
+
+          if (finished) {
+            while (pending.length > 0 && pending[0].settled) {
+              yield settle(pending.shift());
+            }
+            continue;
+          }
+        }
+
+        const { done, value: chunk } = await next;
+        next = null;
+        if (done) break;
+
+        let input = chunk;
+
+        if (!parser) {
+          if (typeof chunk === 'string') {
+            // Wait for enough text to tell server-sent events from plain text
+            undecided += chunk;
+            if (!undecided.includes('\n') && undecided.trimStart().length < SSE_FIELD_LENGTH) continue;
+
+            input = undecided;
+            undecided = '';
+          }
+
+          parser = createParser(input);
+        }
+
+        const toolCalls = parser.addChunk(input);
+        if (toolCalls) enqueue(toolCalls);
+
+        while (pending.length > 0 && pending[0].settled) {
+          yield settle(pending.shift());
+        }
+      }
+    } finally {
+      // Stop reading the source if the consumer stopped early, once any read already waiting on it returns
+      chunks.return().catch(() => {});
+    }
+
+    if (!parser && undecided) {
+      parser = createParser(undecided);
+      const toolCalls = parser.addChunk(undecided);
+      if (toolCalls) enqueue(toolCalls);
+    }
+
+    const remaining = parser ? parser.flush() : null;
+    if (remaining) enqueue(remaining);
+
+    while (pending.length > 0) {
+      const entry = pending.shift();
+      await entry.promise;
+      yield settle(entry);
+    }
+  }
+
   /**
    * Get version information
    * @returns {string} Version string
@@ -429,7 +792,12 @@ const mcp = new MCPRuntime();
 export { MCPRuntime };
 
 // Export individual modules for advanced usage
-export { parse, parseMultiple, StreamingParser } from './parser.js';
+export {
+  parse, parseMultiple, parseDetailed, parseDiagnostics, StreamingParser,
+  registerFormat, unregisterFormat, listFormats
+} from './parser.js';
+export { repairJson } from './repair.js';
+export { ToolCallAssembler } from './assembler.js';
 export { Executor } from './executor.js';
 export { Logger, EventEmitter } from './utils.js';
 export { SchemaValidator, schemaValidator } from './schema.js';
@@ -3,251 +3,1200 @@
  * Handles text, JSON, and streaming chunks
  */
 
-import { safeJsonParse, isValidJson, isPlainObject } from './utils.js';
+import { safeJsonParse, isValidJson, isPlainObject, deepClone, shouldReread, EventEmitter } from './utils.js';
+import { repairJson, repairJsonSpan } from './repair.js';
 
 /**
  * Parse LLM response and extract tool calls
  * @param {string|object} input - LLM response (text, JSON, or object)
+ * @param {object} options - Parsing options
+ * @param {boolean} options.repair - Repair malformed JSON when strict parsing finds nothing, and
+ *   malformed stringified arguments (default: true)
+ * @param {string[]} options.formats - Only recognise calls in these formats (default: all registered formats)
  * @returns {Array|null} Array of tool calls or null if none found
  */
-export function parse(input) {
+export function parse(input, options = {}) {
   if (!input) return null;
 
   // Handle different input types
-  let data;
-  
   if (typeof input === 'string') {
-    data = parseStringInput(input);
-  } else if (isPlainObject(input)) {
-    data = input;
-  } else {
-    return null;
+    return collectToolCalls(findToolCallSources(input, options), resolveFormats(options.formats), options);
+  }
+
+  if (isPlainObject(input)) {
+    // Extract tool calls from parsed data
+    return extractToolCalls(input, resolveFormats(options.formats), { repair: options.repair });
+  }
+
+  return null;
+}
+
+/**
+ * Parse LLM response, returning the prose and the tool calls separately
+ * Object input has no prose, so its text is empty and it has no spans
+ * @param {string|object} input - LLM response (text, JSON, or object)
+ * @param {object} options - Parsing options (see parse)
+ * @returns {object} Result with text (prose with tool calls removed), toolCalls
+ *   (each with start and end offsets into the input), spans (removed ranges)
+ *   and finalAnswer (the text after a ReAct "Final Answer:", or null)
+ *
+ * @example
+ * parseDetailed('Adding now. {"tool":"add","args":{"x":1}}');
+ * // Returns: {
+ * //   text: 'Adding now.',
+ * //   toolCalls: [{ tool: 'add', args: { x: 1 }, start: 12, end: 41 }],
+ * //   spans: [{ start: 12, end: 41 }],
+ * //   finalAnswer: null
+ * // }
+ */
+export function parseDetailed(input, options = {}) {
+  if (typeof input !== 'string') {
+    return { text: '', toolCalls: parse(input, options) || [], spans: [], finalAnswer: null };
+  }
+
+  const adapters = resolveFormats(options.formats);
+  const toolCalls = [];
+  const spans = [];
+
+  for (const source of findToolCallSources(input, options) || []) {
+    const calls = collectToolCalls([source], adapters, options);
+    if (!calls) continue;
+
+    spans.push({ start: source.start, end: source.end });
+    for (const call of calls) {
+      toolCalls.push({ ...call, start: source.start, end: source.end });
+    }
+  }
+
+  return { text: removeSpans(input, spans), toolCalls, spans, finalAnswer: findFinalAnswer(input) };
+}
+
+/**
+ * Parse LLM response, explaining what happened to every candidate
+ * Lists each source of tool calls and each other JSON value (or JSON-like
+ * bracketed text) in the response, whether it was accepted, and if not, why:
+ * - invalid_json - Not valid JSON (detail holds the parse error)
+ * - missing_args - Has a tool name but no args
+ * - invalid_name - Tool name is empty, not a string, or contains whitespace
+ * - no_tool_call - Valid JSON with nothing shaped like a tool call
+ * Each call names the format it was detected in. Accepted calls whose
+ * arguments could not be used, and were replaced with {}, carry a
+ * coerced_args warning
+ * @param {string|object} input - LLM response (text, JSON, or object)
+ * @param {object} options - Parsing options (see parse)
+ * @returns {object} Result with toolCalls (as parse, after validation) and candidates
+ *
+ * @example
+ * parseDiagnostics('{"tool":"add"} {"tool":"add two","args":{}}').candidates;
+ * // Returns: [
+ * //   { start: 0, end: 14, text: '{"tool":"add"}', accepted: false, reason: 'missing_args', calls: [] },
+ * //   { start: 15, end: 43, text: '{"tool":"add two","args":{}}', accepted: false, reason: 'invalid_name',
+ * //     calls: [{ tool: 'add two', args: {}, format: 'native', accepted: false, reason: 'invalid_name' }] }
+ * // ]
+ */
+export function parseDiagnostics(input, options = {}) {
+  const adapters = resolveFormats(options.formats);
+
+  if (isPlainObject(input)) {
+    const candidate = diagnoseCandidate({ value: input, start: null, end: null }, null, adapters, options);
+    return { toolCalls: validateToolCalls(parse(input, options) || []), candidates: [candidate] };
+  }
+
+  if (typeof input !== 'string') {
+    return { toolCalls: [], candidates: [] };
+  }
+
+  const sources = findToolCallSources(input, options) || [];
+  const candidates = sources.map(source => diagnoseCandidate(source, input, adapters, options));
+
+  // Whatever is left in the unclaimed text was considered and passed over
+  const unclaimed = maskRanges(maskCodeFences(input), sources);
+  candidates.push(...findRejectedCandidates(unclaimed, input, adapters, options));
+
+  return {
+    toolCalls: validateToolCalls(collectToolCalls(sources, adapters, options) || []),
+    candidates: candidates.sort((a, b) => a.start - b.start)
+  };
+}
+
+/**
+ * Describe a candidate value and the tool calls found in it
+ * @param {object} source - Source with value, start and end offsets (and repairs)
+ * @param {string|null} input - Original input, for the candidate text
+ * @param {Array} adapters - Format adapters to detect calls with
+ * @param {object} options - Parsing options (see parse)
+ * @returns {object} Candidate diagnostics
+ */
+function diagnoseCandidate(source, input, adapters, options = {}) {
+  const raw = [];
+  const candidate = {
+    start: source.start,
+    end: source.end,
+    text: input !== null ? input.slice(source.start, source.end) : null,
+    accepted: false,
+    calls: []
+  };
+
+  if (source.repairs && source.repairs.length > 0) {
+    candidate.repairs = source.repairs;
+  }
+
+  const toolCalls = extractToolCalls(source.value, getSourceAdapters(source, adapters), { raw, repair: options.repair }) || [];
+
+  toolCalls.forEach((toolCall, index) => {
+    const { value, adapter } = raw[index];
+    const reason = getRejectionReason(toolCall);
+    const call = { ...toolCall, format: adapter.name, accepted: reason === null };
+
+    if (reason) {
+      call.reason = reason;
+    }
+
+    if (!toolCall.repairs && adapter.getArguments && isArgumentsCoerced(adapter.getArguments(value), toolCall.args)) {
+      call.warnings = ['coerced_args'];
+    }
+
+    candidate.calls.push(call);
+  });
+
+  candidate.accepted = candidate.calls.some(call => call.accepted);
+
+  if (!candidate.accepted) {
+    candidate.reason = candidate.calls.length > 0 ? candidate.calls[0].reason : explainMissingCall(source.value);
+  }
+
+  return candidate;
+}
+
+/**
+ * Find the bracketed values in unclaimed text, none of which hold tool calls
+ * Invalid JSON is only reported when it looks like JSON (has quotes or colons),
+ * so prose such as [1] or [link](url) is left out
+ * @param {string} text - Text with claimed sources masked out
+ * @param {string} input - Original input, for the candidate text
+ * @param {Array} adapters - Format adapters to detect calls with
+ * @param {object} options - Parsing options (see parse)
+ * @returns {Array} Rejected candidates
+ */
+function findRejectedCandidates(text, input, adapters, options) {
+  const candidates = [];
+  let quietUntil = -1;
+  let skipUntil = 0;
+
+  for (const { start, end } of findBrackets(text)) {
+    if (start < skipUntil) continue;
+
+    // Only the outermost of a run of broken values is worth reporting
+    const reportable = start >= quietUntil;
+    if (end === -1 && !reportable) continue;
+
+    const slice = text.slice(start, end === -1 ? text.length : end);
+    let value;
+    let detail = end === -1 ? 'Unbalanced brackets' : null;
+
+    if (detail === null) {
+      try {
+        value = JSON.parse(slice);
+      } catch (error) {
+        detail = error.message;
+      }
+    }
+
+    if (detail === null) {
+      candidates.push(diagnoseCandidate({ value, start, end }, input, adapters, options));
+      skipUntil = end;
+      continue;
+    }
+
+    if (reportable && /["':]/.test(slice)) {
+      candidates.push({
+        start,
+        end: start + slice.length,
+        text: input.slice(start, start + slice.length),
+        accepted: false,
+        reason: 'invalid_json',
+        detail,
+        calls: []
+      });
+    }
+
+    if (end !== -1) {
+      skipUntil = end;
+    } else {
+      quietUntil = text.length;
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Look for the nearest miss of a tool call in a value with none
+ * @param {*} value - Parsed value
+ * @param {number} depth - Nesting depth of value (default: 0)
+ * @returns {string} missing_args, invalid_name or no_tool_call
+ */
+function explainMissingCall(value, depth = 0) {
+  if (depth > MAX_SEARCH_DEPTH) return 'no_tool_call';
+
+  if (isPlainObject(value) && value.tool !== undefined) {
+    if (typeof value.tool !== 'string' || !value.tool.trim()) return 'invalid_name';
+    if (value.args === undefined) return 'missing_args';
+  }
+
+  const children = Array.isArray(value) ? value : isPlainObject(value) ? Object.values(value) : [];
+
+  for (const child of children) {
+    const reason = explainMissingCall(child, depth + 1);
+    if (reason !== 'no_tool_call') return reason;
+  }
+
+  return 'no_tool_call';
+}
+
+/**
+ * Check whether raw arguments were discarded during normalization
+ * Missing arguments and empty strings are not counted, since {} is their meaning
+ * @param {*} rawArgs - Raw arguments value
+ * @param {object} args - Normalized arguments
+ * @returns {boolean} True if the raw arguments were replaced
+ */
+function isArgumentsCoerced(rawArgs, args) {
+  if (rawArgs === undefined || isPlainObject(rawArgs)) return false;
+
+  if (typeof rawArgs === 'string') {
+    if (!rawArgs.trim()) return false;
+
+    const decoded = safeJsonParse(rawArgs);
+    return !isPlainObject(decoded) || JSON.stringify(decoded) !== JSON.stringify(args);
+  }
+
+  return true;
+}
+
+/**
+ * Find the parts of a string that hold tool calls
+ * Code fences are searched first, then tag-style templates, then ReAct
+ * actions, then JSON in the remaining text; each stage skips ranges already
+ * claimed by an earlier one
+ * @param {string} input - String input to parse
+ * @param {object} options - Parsing options (see parse)
+ * @returns {Array|null} Sources with value, start and end offsets (and repairs), or null
+ */
+function findToolCallSources(input, options = {}) {
+  const trimmed = input.trim();
+  
+  if (!trimmed) return null;
+
+  // Try direct JSON parsing first
+  const parsed = safeJsonParse(trimmed);
+  if (parsed) {
+    const start = input.length - input.trimStart().length;
+    return [{ value: parsed, start, end: start + trimmed.length }];
+  }
+
+  const adapters = resolveFormats(options.formats);
+
+  // Look inside Markdown code fences next
+  const fences = findCodeFences(input);
+  const sources = extractFencedToolCalls(fences, adapters) || [];
+
+  // Code samples in other languages are not tool calls
+  let text = maskRanges(maskCodeFences(input, fences), sources);
+
+  // Try tag-style templates emitted by open-weight models
+  if (hasFormat(adapters, 'template')) {
+    const tagged = extractTaggedToolCalls(text) || [];
+    sources.push(...tagged);
+    text = maskRanges(text, tagged);
+  }
+
+  // Try ReAct-style "Action: / Action Input:" text
+  if (hasFormat(adapters, 'react')) {
+    const react = extractReActToolCalls(text, options) || [];
+    sources.push(...react);
+    text = maskRanges(text, react);
   }
 
-  if (!data) return null;
+  // Try to extract JSON from the remaining text
+  sources.push(...(extractJsonFromText(text, adapters) || []));
 
-  // Extract tool calls from parsed data
-  return extractToolCalls(data);
+  // Fall back to repairing malformed JSON
+  if (sources.length === 0 && options.repair !== false) {
+    sources.push(...(extractRepairedJson(text, adapters) || []));
+  }
+
+  return sources.length > 0 ? sources.sort((a, b) => a.start - b.start) : null;
+}
+
+/**
+ * Extract normalized tool calls from sources
+ * Calls recovered by JSON repair carry a `repairs` array naming the fixes applied
+ * @param {Array|null} sources - Sources from findToolCallSources
+ * @param {Array} adapters - Format adapters to detect calls with
+ * @param {object} options - Parsing options (see parse)
+ * @returns {Array|null} Array of tool calls or null
+ */
+function collectToolCalls(sources, adapters, options = {}) {
+  if (!sources) return null;
+
+  const toolCalls = [];
+
+  for (const source of sources) {
+    const calls = extractToolCalls(source.value, getSourceAdapters(source, adapters), { repair: options.repair });
+    if (!calls) continue;
+
+    for (const call of calls) {
+      if (!source.repairs || source.repairs.length === 0) {
+        toolCalls.push(call);
+        continue;
+      }
+
+      const repairs = new Set([...source.repairs, ...(call.repairs || [])]);
+      toolCalls.push({ ...call, repairs: Array.from(repairs) });
+    }
+  }
+
+  return toolCalls.length > 0 ? toolCalls : null;
+}
+
+/**
+ * Remove spans from text, tidying the whitespace left behind
+ * @param {string} text - Original text
+ * @param {Array} spans - Sorted, non-overlapping ranges to remove
+ * @returns {string} Remaining text
+ */
+function removeSpans(text, spans) {
+  let remaining = '';
+  let position = 0;
+
+  for (const span of spans) {
+    remaining += text.slice(position, span.start);
+    position = span.end;
+  }
+  remaining += text.slice(position);
+
+  return remaining
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Markdown code fences: an opening ``` or ~~~ line with an optional language
+ * tag, up to a matching closing fence or the end of the text
+ */
+const CODE_FENCE_PATTERN = /^[ \t]*(`{3,}|~{3,})[ \t]*([^\s`]*)[^\n]*\n([\s\S]*?)(?:^[ \t]*\1[ \t]*$|(?![\s\S]))/gm;
+
+/**
+ * Fence language tags whose content is searched for JSON tool calls
+ */
+const JSON_FENCE_LANGUAGES = new Set(['', 'json', 'json5', 'jsonc', 'jsonl']);
+
+/**
+ * Fence language tags whose content is known to be a tool call
+ */
+const TOOL_CALL_FENCE_LANGUAGES = new Set(['tool_call', 'tool_calls', 'tool_use', 'function_call', 'function_calls']);
+
+/**
+ * Find Markdown code fences in text
+ * @param {string} text - Text to search
+ * @returns {Array} Fences with language, content, start and end offsets
+ */
+function findCodeFences(text) {
+  const fences = [];
+
+  for (const match of text.matchAll(CODE_FENCE_PATTERN)) {
+    fences.push({
+      language: match[2].toLowerCase(),
+      content: match[3],
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return fences;
+}
+
+/**
+ * Extract tool calls from the content of Markdown code fences
+ * Tool call fences may also hold {name, arguments} template bodies, which
+ * are normalized when the template format is selected
+ * @param {Array} fences - Fences from findCodeFences
+ * @param {Array} adapters - Format adapters to detect calls with
+ * @returns {Array|null} One source per fence containing tool calls, or null
+ */
+function extractFencedToolCalls(fences, adapters) {
+  const sources = [];
+  const allowTemplates = hasFormat(adapters, 'template');
+
+  for (const fence of fences) {
+    const isToolCallFence = TOOL_CALL_FENCE_LANGUAGES.has(fence.language);
+
+    if (!isToolCallFence && !JSON_FENCE_LANGUAGES.has(fence.language)) continue;
+
+    const values = [];
+    let hasTemplateCalls = false;
+
+    for (const { value } of scanJsonValues(fence.content)) {
+      const items = isToolCallFence && Array.isArray(value) ? value : [value];
+
+      for (const item of items) {
+        if (extractToolCalls(item, adapters) !== null) {
+          values.push(item);
+          continue;
+        }
+
+        const toolCall = isToolCallFence && allowTemplates ? normalizeTemplateCall(item, null) : null;
+        if (toolCall) {
+          values.push(toolCall);
+          hasTemplateCalls = true;
+        }
+      }
+    }
+
+    if (values.length > 0) {
+      const source = { value: values, start: fence.start, end: fence.end };
+      sources.push(hasTemplateCalls ? { ...source, format: 'template' } : source);
+    }
+  }
+
+  return sources.length > 0 ? sources : null;
+}
+
+/**
+ * Blank out code fences in languages that cannot hold tool calls
+ * @param {string} text - Text to mask
+ * @param {Array} fences - Fences from findCodeFences (found if omitted)
+ * @returns {string} Text with those fences replaced by spaces
+ */
+function maskCodeFences(text, fences = findCodeFences(text)) {
+  return maskRanges(text, fences.filter(fence =>
+    !JSON_FENCE_LANGUAGES.has(fence.language) && !TOOL_CALL_FENCE_LANGUAGES.has(fence.language)
+  ));
+}
+
+/**
+ * Replace ranges of text with spaces
+ * Offsets are preserved so positions in the masked text match the original
+ * @param {string} text - Text to mask
+ * @param {Array} ranges - Ranges with start and end offsets
+ * @returns {string} Masked text
+ */
+function maskRanges(text, ranges) {
+  let masked = text;
+
+  for (const range of ranges) {
+    masked = masked.slice(0, range.start) +
+             ' '.repeat(range.end - range.start) +
+             masked.slice(range.end);
+  }
+
+  return masked;
+}
+
+/**
+ * Extract malformed or truncated JSON containing tool calls from text
+ * A repair that runs to the end of the text has taken in every later
+ * bracket too, so scanning stops there rather than repairing each of them,
+ * and brackets inside a span that could not be repaired are skipped
+ * @param {string} text - Text containing potentially malformed JSON
+ * @param {Array} adapters - Format adapters to detect calls with
+ * @returns {Array|null} Sources with the repairs applied to each, or null
+ */
+function extractRepairedJson(text, adapters) {
+  const sources = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '{' || char === '[') {
+      const repaired = repairJsonSpan(text, index);
+      const failed = repaired.value === undefined;
+
+      if (!failed && extractToolCalls(repaired.value, adapters) !== null) {
+        sources.push({ value: repaired.value, start: index, end: repaired.end, repairs: repaired.repairs });
+        index = repaired.end;
+        continue;
+      }
+
+      if (repaired.end >= text.length) break;
+
+      if (failed) {
+        index = Math.max(repaired.end, index + 1);
+        continue;
+      }
+    }
+
+    index++;
+  }
+
+  return sources.length > 0 ? sources : null;
+}
+
+/**
+ * Tag-style tool call templates used by open-weight models
+ * Each pattern captures the call body, and optionally the tool name.
+ * Bracketed bodies run to their balanced closing bracket.
+ */
+const TAGGED_TOOL_CALL_PATTERNS = [
+  // Hermes / Qwen: <tool_call>{"name": ..., "arguments": {...}}</tool_call>
+  { pattern: /<tool_call>([\s\S]*?)(?:<\/tool_call>|$)/g, body: 1 },
+  // Llama 3.x custom tools: <function=name>{...}</function>
+  { pattern: /<function=([\w.-]+)>([\s\S]*?)(?:<\/function>|$)/g, name: 1, body: 2 },
+  // Mistral: [TOOL_CALLS] [{"name": ..., "arguments": {...}}]
+  { pattern: /\[TOOL_CALLS\]\s*(?=\[)/g, bracketed: true },
+  // Llama 3.x built-in tools: <|python_tag|>{"name": ..., "parameters": {...}}
+  { pattern: /<\|python_tag\|>([\s\S]*?)(?:<\|eom_id\|>|<\|eot_id\|>|$)/g, body: 1 }
+];
+
+/**
+ * Extract tool calls from tag-style templates (Hermes, Qwen, Llama, Mistral)
+ * Sources are in the template format and hold already normalized calls
+ * @param {string} text - Text containing potential tagged tool calls
+ * @returns {Array|null} One source per tagged call, or null
+ */
+function extractTaggedToolCalls(text) {
+  const sources = [];
+
+  for (const { pattern, name, body, bracketed } of TAGGED_TOOL_CALL_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      let content = bracketed ? '' : match[body].trim();
+      let end = match.index + match[0].length;
+
+      if (bracketed) {
+        const bracketEnd = findBalancedEnd(text, end);
+        if (bracketEnd === -1) continue;
+
+        content = text.slice(end, bracketEnd);
+        end = bracketEnd;
+      }
+
+      const parsed = content ? safeJsonParse(content) : {};
+      const items = Array.isArray(parsed) ? parsed : [parsed];
+      const toolCalls = [];
+
+      for (const item of items) {
+        const toolCall = normalizeTemplateCall(item, name ? match[name] : null);
+        if (toolCall) {
+          toolCalls.push(toolCall);
+        }
+      }
+
+      if (toolCalls.length > 0) {
+        sources.push({ value: toolCalls, start: match.index, end, format: 'template' });
+      }
+    }
+  }
+
+  return sources.length > 0 ? sources : null;
+}
+
+/**
+ * Normalize the body of a tagged tool call
+ * Bodies use {name, arguments} or {name, parameters}, or are the bare
+ * arguments when the tag itself carries the tool name
+ * @param {*} item - Parsed call body
+ * @param {string|null} name - Tool name taken from the tag, if any
+ * @returns {object|null} Tool call with tool and args, or null
+ */
+function normalizeTemplateCall(item, name) {
+  if (!isPlainObject(item)) return null;
+
+  if (name) {
+    return { tool: name, args: item };
+  }
+
+  if (hasToolCallStructure(item)) {
+    return normalizeToolCall(item, NATIVE_FORMAT);
+  }
+
+  if (typeof item.name === 'string' && item.name.trim()) {
+    const toolCall = {
+      tool: item.name.trim(),
+      args: decodeArguments(item.arguments !== undefined ? item.arguments : item.parameters)
+    };
+
+    const callId = normalizeCallId(item.id);
+    if (callId) {
+      toolCall.id = callId;
+    }
+
+    return toolCall;
+  }
+
+  return null;
+}
+
+/**
+ * ReAct (LangChain) actions: an "Action:" line naming the tool, followed by
+ * an "Action Input:" line starting the input
+ */
+const REACT_ACTION_PATTERN = /^[ \t]*Action[ \t]*:[ \t]*(.*?)[ \t]*\r?\n[ \t]*Action[ \t]*Input[ \t]*:[ \t]*/gm;
+
+/**
+ * Lines that end a plain-text ReAct action input
+ */
+const REACT_INPUT_END_PATTERN = /\n[ \t]*(?:Observation|Thought|Action|Final[ \t]+Answer)[ \t]*:/;
+
+/**
+ * ReAct final answer, which ends the agent loop
+ */
+const REACT_FINAL_ANSWER_PATTERN = /^[ \t]*Final[ \t]+Answer[ \t]*:[ \t]*([\s\S]*)$/m;
+
+/**
+ * Extract tool calls from ReAct-style text
+ * JSON object inputs become the call's args; any other input is passed as
+ * { input: '...' }, as LangChain does for single-input tools. Sources are in
+ * the react format and hold already normalized calls
+ * @param {string} text - Text containing potential ReAct actions
+ * @param {object} options - Parsing options (see parse)
+ * @returns {Array|null} One source per action, or null
+ */
+function extractReActToolCalls(text, options = {}) {
+  const sources = [];
+
+  for (const match of text.matchAll(REACT_ACTION_PATTERN)) {
+    const tool = stripQuotes(match[1]);
+    if (!tool) continue;
+
+    const inputStart = match.index + match[0].length;
+    let end = text[inputStart] === '{' ? findBalancedEnd(text, inputStart) : -1;
+
+    if (end === -1) {
+      const inputEnd = text.slice(inputStart).search(REACT_INPUT_END_PATTERN);
+      end = inputEnd === -1 ? text.length : inputStart + inputEnd;
+    }
+
+    const input = stripQuotes(text.slice(inputStart, end));
+    const source = { value: { tool, args: {} }, start: match.index, end, format: 'react' };
+
+    if (input.startsWith('{')) {
+      const parsed = safeJsonParse(input);
+      const repaired = isPlainObject(parsed) || options.repair === false ? null : repairJson(input);
+
+      if (isPlainObject(parsed)) {
+        source.value.args = parsed;
+      } else if (repaired && isPlainObject(repaired.value)) {
+        source.value.args = repaired.value;
+        source.repairs = repaired.repairs;
+      } else {
+        source.value.args = { input };
+      }
+    } else if (input) {
+      source.value.args = { input };
+    }
+
+    sources.push(source);
+  }
+
+  return sources.length > 0 ? sources : null;
+}
+
+/**
+ * Find a ReAct final answer, which means the agent is done rather than calling a tool
+ * @param {string} text - Text to search
+ * @returns {string|null} The final answer, or null
+ */
+function findFinalAnswer(text) {
+  const match = text.match(REACT_FINAL_ANSWER_PATTERN);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Trim text and remove one pair of surrounding quotes or backticks
+ * @param {string} text - Text to tidy
+ * @returns {string} Tidied text
+ */
+function stripQuotes(text) {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^(["'`])([\s\S]*)\1$/);
+  return match ? match[2].trim() : trimmed;
+}
+
+/**
+ * Extract JSON content from mixed text
+ * @param {string} text - Text containing potential JSON
+ * @param {Array} adapters - Format adapters to detect calls with
+ * @returns {Array|null} Every JSON value containing tool calls, with offsets, or null
+ */
+function extractJsonFromText(text, adapters) {
+  const sources = scanJsonValues(text)
+    .filter(candidate => extractToolCalls(candidate.value, adapters) !== null);
+
+  return sources.length > 0 ? sources : null;
+}
+
+/**
+ * Scan text for every top-level JSON object or array, at any nesting depth
+ * Brackets inside string literals are ignored
+ * @param {string} text - Text to scan
+ * @returns {Array} Candidates with value, start and end offsets
+ */
+function scanJsonValues(text) {
+  const candidates = [];
+  let skipUntil = 0;
+
+  for (const { start, end } of findBrackets(text)) {
+    if (start < skipUntil || end === -1) continue;
+
+    const value = safeJsonParse(text.slice(start, end));
+
+    if (value !== null) {
+      candidates.push({ value, start, end });
+      skipUntil = end;
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Find every opening bracket in text and where it is closed, in a single pass
+ * Strings are tracked from the first bracket that opens, and a closer that
+ * does not pair up leaves every bracket still open unbalanced
+ * @param {string} text - Text to scan
+ * @returns {Array} Brackets in text order, with start and end offsets
+ *   (end is just past the matching closer, or -1 if unbalanced)
+ */
+function findBrackets(text) {
+  const brackets = [];
+  const open = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      const bracket = { start: i, end: -1, closer: char === '{' ? '}' : ']' };
+      brackets.push(bracket);
+      open.push(bracket);
+    } else if (open.length === 0) {
+      continue;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '}' || char === ']') {
+      const bracket = open.pop();
+
+      if (bracket.closer === char) {
+        bracket.end = i + 1;
+      } else {
+        open.length = 0;
+      }
+    }
+  }
+
+  return brackets.map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Find the end of the bracketed value starting at a given offset
+ * @param {string} text - Text to scan
+ * @param {number} start - Offset of the opening '{' or '['
+ * @returns {number} Offset just past the matching closer, or -1 if unbalanced
+ */
+function findBalancedEnd(text, start) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      closers.push('}');
+    } else if (char === '[') {
+      closers.push(']');
+    } else if (char === '}' || char === ']') {
+      if (closers.pop() !== char) return -1;
+      if (closers.length === 0) return i + 1;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * How deep into a parsed value tool calls are searched for
+ */
+const MAX_SEARCH_DEPTH = 128;
+
+/**
+ * Extract tool calls from parsed data structure
+ * Objects matching a format adapter are calls; everything else is searched
+ * recursively (e.g. `tool_calls` arrays, OpenAI `choices`, Responses API `output`),
+ * down to MAX_SEARCH_DEPTH levels
+ * @param {object} data - Parsed data object
+ * @param {Array} adapters - Format adapters to detect calls with (default: all registered)
+ * @param {object} options - Search options
+ * @param {Array} options.raw - Collects each raw call object and its adapter, in step with the result (optional)
+ * @param {boolean} options.repair - Repair malformed stringified arguments (default: true)
+ * @param {number} options.depth - Nesting depth of data (default: 0)
+ * @returns {Array|null} Array of tool calls or null
+ */
+function extractToolCalls(data, adapters = resolveFormats(), options = {}) {
+  const { raw = null, repair, depth = 0 } = options;
+  if (!data || typeof data !== 'object' || depth > MAX_SEARCH_DEPTH) return null;
+
+  const toolCalls = [];
+
+  // Handle direct tool call format
+  const adapter = findAdapter(data, adapters);
+  if (adapter) {
+    toolCalls.push(normalizeToolCall(data, adapter, repair !== false));
+    if (raw) raw.push({ value: data, adapter });
+  }
+
+  // Recursively search array items and nested objects
+  const children = Array.isArray(data) ? data : isPlainObject(data) ? Object.values(data) : [];
+
+  for (const child of children) {
+    const nested = extractToolCalls(child, adapters, { ...options, depth: depth + 1 });
+    if (nested) {
+      toolCalls.push(...nested);
+    }
+  }
+
+  return toolCalls.length > 0 ? toolCalls : null;
+}
+
+/**
+ * Check if an object has tool call structure
+ * @param {*} obj - Object to check
+ * @returns {boolean} True if has tool call structure
+ */
+function hasToolCallStructure(obj) {
+  return isPlainObject(obj) && 
+         typeof obj.tool === 'string' && 
+         obj.tool.length > 0 &&
+         obj.args !== undefined;
+}
+
+/**
+ * Check if an object is an OpenAI Chat Completions tool call
+ * e.g. {id, type: 'function', function: {name, arguments: '{"x":1}'}}
+ * @param {*} obj - Object to check
+ * @returns {boolean} True if object is an OpenAI tool call
+ */
+function isOpenAIToolCall(obj) {
+  return isPlainObject(obj) &&
+         (obj.type === undefined || obj.type === 'function') &&
+         isPlainObject(obj.function) &&
+         typeof obj.function.name === 'string' &&
+         obj.function.name.length > 0;
 }
 
 /**
- * Parse string input, handling partial JSON and streaming
- * @param {string} input - String input to parse
- * @returns {object|null} Parsed data or null
+ * Check if an object is an OpenAI Responses API function_call output item
+ * e.g. {type: 'function_call', call_id, name, arguments: '{"x":1}'}
+ * @param {*} obj - Object to check
+ * @returns {boolean} True if object is a Responses API function call
  */
-function parseStringInput(input) {
-  const trimmed = input.trim();
-  
-  if (!trimmed) return null;
-
-  // Try direct JSON parsing first
-  let parsed = safeJsonParse(trimmed);
-  if (parsed) return parsed;
-
-  // Try to extract JSON from text
-  parsed = extractJsonFromText(trimmed);
-  if (parsed) return parsed;
+function isResponsesFunctionCall(obj) {
+  return isPlainObject(obj) &&
+         obj.type === 'function_call' &&
+         typeof obj.name === 'string' &&
+         obj.name.length > 0;
+}
 
-  // Try to handle streaming/partial JSON
-  parsed = handleStreamingJson(trimmed);
-  if (parsed) return parsed;
+/**
+ * Check if an object is an Anthropic Messages tool_use content block
+ * e.g. {type: 'tool_use', id, name, input: {x: 1}}
+ * @param {*} obj - Object to check
+ * @returns {boolean} True if object is an Anthropic tool_use block
+ */
+function isAnthropicToolUse(obj) {
+  return isPlainObject(obj) &&
+         obj.type === 'tool_use' &&
+         typeof obj.name === 'string' &&
+         obj.name.length > 0;
+}
 
-  return null;
+/**
+ * Check if an object is a Gemini content part carrying a functionCall
+ * e.g. {functionCall: {name, args: {x: 1}}}
+ * @param {*} obj - Object to check
+ * @returns {boolean} True if object is a Gemini functionCall part
+ */
+function isGeminiFunctionCall(obj) {
+  return isPlainObject(obj) &&
+         isPlainObject(obj.functionCall) &&
+         typeof obj.functionCall.name === 'string' &&
+         obj.functionCall.name.length > 0;
 }
 
 /**
- * Extract JSON content from mixed text
- * @param {string} text - Text containing potential JSON
- * @returns {object|null} Extracted JSON or null
- */
-function extractJsonFromText(text) {
-  // Look for JSON-like patterns
-  const jsonPatterns = [
-    // Standard tool call format
-    /\{"tool_call":\s*\{[^}]+\}\s*\}/g,
-    // Alternative formats
-    /\{[^{}]*"tool"[^{}]*"args"[^{}]*\}/g,
-    // Nested objects
-    /\{[^{}]*\{[^{}]*\}[^{}]*\}/g,
-    // Simple objects
-    /\{[^{}]+\}/g
-  ];
-
-  for (const pattern of jsonPatterns) {
-    const matches = text.match(pattern);
-    if (matches) {
-      for (const match of matches) {
-        const parsed = safeJsonParse(match);
-        if (parsed && (hasToolCallStructure(parsed) || hasNestedToolCall(parsed))) {
-          return parsed;
-        }
-      }
-    }
+ * Decode provider tool call arguments, which may arrive as a JSON string
+ * @param {*} args - Raw arguments value
+ * @returns {object} Arguments object ({} if not decodable)
+ */
+function decodeArguments(args) {
+  if (typeof args === 'string') {
+    args = args.trim() ? safeJsonParse(args) : {};
   }
 
-  return null;
+  return isPlainObject(args) ? args : {};
 }
 
 /**
- * Handle streaming or partial JSON content
- * @param {string} text - Potentially incomplete JSON
- * @returns {object|null} Parsed JSON or null
+ * Normalize a provider tool call ID
+ * @param {*} id - Raw ID value
+ * @returns {string|null} ID as a non-empty string, or null
  */
-function handleStreamingJson(text) {
-  // Try to complete common incomplete patterns
-  const completionAttempts = [
-    // Missing closing braces
-    text + '}',
-    text + '}}',
-    text + '}}}',
-    // Missing quotes
-    text + '"',
-    text + '"}',
-    text + '"}}',
-  ];
+function normalizeCallId(id) {
+  if (typeof id === 'number') return String(id);
+  return typeof id === 'string' && id.trim() ? id.trim() : null;
+}
 
-  for (const attempt of completionAttempts) {
-    const parsed = safeJsonParse(attempt);
-    if (parsed && (hasToolCallStructure(parsed) || hasNestedToolCall(parsed))) {
-      return parsed;
-    }
+/**
+ * Normalize a tool call to standard format
+ * Provider call IDs are kept as `id` so results can be matched back to them.
+ * Stringified arguments that are not valid JSON (e.g. '{"x":1,}') are
+ * repaired, and the call carries a `repairs` array naming the fixes applied
+ * @param {object} toolCall - Raw tool call object
+ * @param {object} adapter - Format adapter that detected the call
+ * @param {boolean} repair - Repair malformed stringified arguments (default: true)
+ * @returns {object} Normalized tool call
+ */
+function normalizeToolCall(toolCall, adapter, repair = true) {
+  const { tool, args, id } = adapter.normalize(toolCall);
+
+  const normalized = {
+    tool: String(tool).trim(),
+    args: isPlainObject(args) ? args : {}
+  };
+
+  const callId = normalizeCallId(id);
+  if (callId) {
+    normalized.id = callId;
   }
 
-  // Try to extract the most complete JSON object
-  const braceMatch = text.match(/\{[^]*$/);
-  if (braceMatch) {
-    const jsonCandidate = braceMatch[0];
-    // Count braces to see if we can balance them
-    const openBraces = (jsonCandidate.match(/\{/g) || []).length;
-    const closeBraces = (jsonCandidate.match(/\}/g) || []).length;
-    const missing = openBraces - closeBraces;
-    
-    if (missing > 0 && missing <= 3) {
-      const completed = jsonCandidate + '}'.repeat(missing);
-      const parsed = safeJsonParse(completed);
-      if (parsed && (hasToolCallStructure(parsed) || hasNestedToolCall(parsed))) {
-        return parsed;
-      }
+  const rawArgs = adapter.getArguments ? adapter.getArguments(toolCall) : undefined;
+
+  if (repair && typeof rawArgs === 'string' && isArgumentsCoerced(rawArgs, normalized.args)) {
+    const repaired = repairJson(rawArgs);
+
+    if (repaired && isPlainObject(repaired.value)) {
+      normalized.args = repaired.value;
+      normalized.repairs = repaired.repairs;
     }
   }
 
-  return null;
+  return normalized;
 }
 
 /**
- * Extract tool calls from parsed data structure
- * @param {object} data - Parsed data object
- * @returns {Array|null} Array of tool calls or null
+ * Registered tool call format adapters, in detection order
  */
-function extractToolCalls(data) {
-  const toolCalls = [];
+const formatAdapters = new Map();
 
-  // Handle direct tool call format
-  if (hasToolCallStructure(data)) {
-    toolCalls.push(normalizeToolCall(data));
+/**
+ * Register a tool call format adapter
+ * Registering an existing name replaces that adapter
+ * @param {string} name - Format name
+ * @param {object} adapter - Adapter definition
+ * @param {Function} adapter.detect - Returns true if a plain object is a call in this format
+ * @param {Function} adapter.normalize - Returns {tool, args, id} for a detected call
+ * @param {Function} adapter.getArguments - Returns the call's raw arguments, for diagnostics (optional)
+ *
+ * @example
+ * registerFormat('react_json', {
+ *   detect: (obj) => typeof obj.action === 'string' && obj.action_input !== undefined,
+ *   normalize: (obj) => ({ tool: obj.action, args: obj.action_input })
+ * });
+ */
+export function registerFormat(name, adapter) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('Format name must be a non-empty string');
   }
 
-  // Handle nested tool_call format
-  if (data.tool_call && hasToolCallStructure(data.tool_call)) {
-    toolCalls.push(normalizeToolCall(data.tool_call));
+  if (!adapter || typeof adapter.detect !== 'function' || typeof adapter.normalize !== 'function') {
+    throw new Error(`Format '${name}' must have detect and normalize functions`);
   }
 
-  // Handle arrays of tool calls
-  if (Array.isArray(data)) {
-    for (const item of data) {
-      if (hasToolCallStructure(item)) {
-        toolCalls.push(normalizeToolCall(item));
-      }
-    }
-  }
+  formatAdapters.set(name, { ...adapter, name });
+}
 
-  // Handle tool_calls array
-  if (Array.isArray(data.tool_calls)) {
-    for (const item of data.tool_calls) {
-      if (hasToolCallStructure(item)) {
-        toolCalls.push(normalizeToolCall(item));
-      }
-    }
-  }
+/**
+ * Remove a tool call format adapter
+ * @param {string} name - Format name
+ * @returns {boolean} True if the format was removed
+ */
+export function unregisterFormat(name) {
+  return formatAdapters.delete(name);
+}
 
-  // Recursively search nested objects
-  if (isPlainObject(data)) {
-    for (const [key, value] of Object.entries(data)) {
-      if (key !== 'tool_call' && key !== 'tool_calls') {
-        const nested = extractToolCalls(value);
-        if (nested) {
-          toolCalls.push(...nested);
-        }
-      }
-    }
-  }
+/**
+ * List registered tool call formats
+ * @returns {string[]} Format names, in detection order
+ */
+export function listFormats() {
+  return Array.from(formatAdapters.keys());
+}
 
-  return toolCalls.length > 0 ? toolCalls : null;
+/**
+ * Look up the adapters for a set of format names
+ * @param {string[]} formats - Format names (all registered formats if omitted)
+ * @returns {Array} Format adapters
+ */
+function resolveFormats(formats) {
+  if (!formats) return Array.from(formatAdapters.values());
+
+  return formats.map(name => {
+    const adapter = formatAdapters.get(name);
+    if (!adapter) {
+      throw new Error(`Unknown tool call format '${name}'`);
+    }
+    return adapter;
+  });
 }
 
 /**
- * Check if an object has tool call structure
+ * Find the first adapter that detects an object as a tool call
  * @param {*} obj - Object to check
- * @returns {boolean} True if has tool call structure
+ * @param {Array} adapters - Format adapters to try
+ * @returns {object|null} Matching adapter, or null
  */
-function hasToolCallStructure(obj) {
-  return isPlainObject(obj) && 
-         typeof obj.tool === 'string' && 
-         obj.tool.length > 0 &&
-         obj.args !== undefined;
+function findAdapter(obj, adapters) {
+  if (!isPlainObject(obj)) return null;
+  return adapters.find(adapter => adapter.detect(obj)) || null;
 }
 
 /**
- * Check if an object has nested tool call
- * @param {*} obj - Object to check
- * @returns {boolean} True if has nested tool call
+ * Check whether a format is among a set of adapters
+ * @param {Array} adapters - Format adapters
+ * @param {string} name - Format name
+ * @returns {boolean} True if the format is included
  */
-function hasNestedToolCall(obj) {
-  if (!isPlainObject(obj)) return false;
-  
-  return obj.tool_call && hasToolCallStructure(obj.tool_call);
+function hasFormat(adapters, name) {
+  return adapters.some(adapter => adapter.name === name);
 }
 
 /**
- * Normalize a tool call to standard format
- * @param {object} toolCall - Raw tool call object
- * @returns {object} Normalized tool call
+ * Get the adapters to read a source's value with
+ * Sources found by a text format hold calls it has already normalized, which
+ * are read as that format even when the native format is not selected
+ * @param {object} source - Source from findToolCallSources
+ * @param {Array} adapters - Format adapters selected for parsing
+ * @returns {Array} Format adapters for the source
  */
-function normalizeToolCall(toolCall) {
-  return {
-    tool: String(toolCall.tool).trim(),
-    args: isPlainObject(toolCall.args) ? toolCall.args : {}
-  };
+function getSourceAdapters(source, adapters) {
+  return source.format ? [{ ...NATIVE_FORMAT, name: source.format }, ...adapters] : adapters;
 }
 
+/**
+ * Built-in format for this library's own {tool, args} calls
+ */
+const NATIVE_FORMAT = {
+  detect: hasToolCallStructure,
+  normalize: (obj) => ({ tool: obj.tool, args: obj.args, id: obj.id }),
+  getArguments: (obj) => obj.args
+};
+
+registerFormat('native', NATIVE_FORMAT);
+
+registerFormat('openai', {
+  detect: isOpenAIToolCall,
+  normalize: (obj) => ({ tool: obj.function.name, args: decodeArguments(obj.function.arguments), id: obj.id }),
+  getArguments: (obj) => obj.function.arguments
+});
+
+registerFormat('openai_responses', {
+  detect: isResponsesFunctionCall,
+  // call_id is echoed back with the output; id only names the output item
+  normalize: (obj) => ({
+    tool: obj.name,
+    args: decodeArguments(obj.arguments),
+    id: obj.call_id !== undefined ? obj.call_id : obj.id
+  }),
+  getArguments: (obj) => obj.arguments
+});
+
+registerFormat('anthropic', {
+  detect: isAnthropicToolUse,
+  normalize: (obj) => ({ tool: obj.name, args: obj.input, id: obj.id }),
+  getArguments: (obj) => obj.input
+});
+
+registerFormat('gemini', {
+  detect: isGeminiFunctionCall,
+  normalize: (obj) => ({ tool: obj.functionCall.name, args: obj.functionCall.args, id: obj.functionCall.id }),
+  getArguments: (obj) => obj.functionCall.args
+});
+
+/**
+ * Built-in formats for calls written as text rather than as JSON objects:
+ * template (Hermes, Qwen, Llama and Mistral tags, and {name, arguments}
+ * bodies in tool call fences) and react (Action / Action Input lines).
+ * They are found by their own parsing stages, which run only when the
+ * format is selected, so they detect nothing in plain objects
+ */
+const TEXT_FORMAT = {
+  detect: () => false,
+  normalize: NATIVE_FORMAT.normalize
+};
+
+registerFormat('template', TEXT_FORMAT);
+registerFormat('react', TEXT_FORMAT);
+
 /**
  * Parse multiple tool calls from a single response
  * @param {string|object} input - Input containing multiple tool calls
+ * @param {object} options - Parsing options (see parse)
  * @returns {Array|null} Array of tool calls or null
  */
-export function parseMultiple(input) {
+export function parseMultiple(input, options = {}) {
   if (!input) return null;
 
   let allToolCalls = [];
 
   if (typeof input === 'string') {
     // Try to split on common separators and parse each part
-    const parts = input.split(/\n|\r\n|\r/);
+    const parts = maskCodeFences(input).split(/\n|\r\n|\r/);
     
+    // Lines are parsed strictly: repairing a single line of a multi-line
+    // call would recover a truncated copy of it
     for (const part of parts) {
-      const toolCalls = parse(part.trim());
+      const toolCalls = parse(part.trim(), { ...options, repair: false });
       if (toolCalls) {
         allToolCalls.push(...toolCalls);
       }
     }
 
     // Also try parsing the whole thing
-    const wholeParse = parse(input);
+    const wholeParse = parse(input, options);
     if (wholeParse) {
       // Merge with existing, avoiding duplicates
       for (const call of wholeParse) {
         const exists = allToolCalls.some(existing => 
           existing.tool === call.tool && 
+          existing.id === call.id &&
           JSON.stringify(existing.args) === JSON.stringify(call.args)
         );
         if (!exists) {
@@ -256,7 +1205,7 @@ export function parseMultiple(input) {
       }
     }
   } else {
-    const toolCalls = parse(input);
+    const toolCalls = parse(input, options);
     if (toolCalls) {
       allToolCalls.push(...toolCalls);
     }
@@ -273,25 +1222,74 @@ export function parseMultiple(input) {
 export function validateToolCalls(toolCalls) {
   if (!Array.isArray(toolCalls)) return [];
 
-  return toolCalls.filter(call => {
-    if (!hasToolCallStructure(call)) return false;
-    
-    // Additional validation
-    if (call.tool.includes(' ') || call.tool.includes('\n')) return false;
-    if (!isPlainObject(call.args)) return false;
-    
-    return true;
-  });
+  return toolCalls.filter(call => getRejectionReason(call) === null);
+}
+
+/**
+ * Explain why validateToolCalls would drop a tool call
+ * @param {*} call - Normalized tool call
+ * @returns {string|null} Rejection reason, or null if the call is valid
+ */
+function getRejectionReason(call) {
+  if (!isPlainObject(call)) return 'no_tool_call';
+  if (typeof call.tool !== 'string' || call.tool.length === 0) return 'invalid_name';
+  if (call.args === undefined) return 'missing_args';
+
+  // Additional validation
+  if (call.tool.includes(' ') || call.tool.includes('\n')) return 'invalid_name';
+  if (!isPlainObject(call.args)) return 'invalid_args';
+
+  return null;
 }
 
+/**
+ * Template tags that may directly precede a streamed {name, arguments} body
+ */
+const STREAMING_TEMPLATE_PREFIX = /(?:<tool_call>|<\|python_tag\|>|\[TOOL_CALLS\]|<function=([\w.-]+)>)\s*$/;
+
+/**
+ * How much text before a value is kept to look for a template tag
+ */
+const STREAMING_PREFIX_WINDOW = 64;
+
+/**
+ * Words allowed outside strings in JSON
+ */
+const JSON_LITERALS = ['true', 'false', 'null'];
+
+/**
+ * ReAct action lines just before a streamed value, which make it the action's JSON input
+ */
+const STREAMING_REACT_PREFIX = /(?:^|\n)[ \t]*Action[ \t]*:[ \t]*(.*?)[ \t]*\r?\n[ \t]*Action[ \t]*Input[ \t]*:[ \t]*$/;
+
+/**
+ * How much of each line is kept to recognise Markdown code fences
+ */
+const STREAMING_LINE_WINDOW = 256;
+
 /**
  * Extract tool calls from streaming chunks
- * Useful for processing partial responses in real-time
+ * Useful for processing partial responses in real-time.
+ * Scanning resumes where the previous chunk stopped, so the cost of each
+ * chunk is proportional to its size, and each call is returned exactly once
+ * when its closing bracket arrives.
+ *
+ * Events (index is the call's position in getAllCalls()):
+ * - tool_start: { index, tool, id } once a call's tool name is complete
+ * - args_delta: { index, tool, id, args } as arguments arrive, args being a
+ *   best-effort partial object
+ * - tool_end: { index, tool, id, args } when the call closes
  */
-export class StreamingParser {
-  constructor() {
-    this.buffer = '';
-    this.foundCalls = [];
+export class StreamingParser extends EventEmitter {
+  /**
+   * @param {object} options - Parsing options
+   * @param {string[]} options.formats - Only recognise calls in these formats (default: all registered formats)
+   */
+  constructor(options = {}) {
+    super();
+    this.formats = options.formats || null;
+    this.adapters = resolveFormats(this.formats);
+    this.reset();
   }
 
   /**
@@ -303,26 +1301,368 @@ export class StreamingParser {
     if (typeof chunk !== 'string') return null;
     
     this.buffer += chunk;
-    
-    // Try to extract tool calls from current buffer
-    const newCalls = parse(this.buffer);
-    
+
+    const found = this.foundCalls.length;
+    this.scan(chunk);
+
+    // Partial calls are only worked out when someone is listening for them
+    if (this.listenerCount('tool_start') > 0 || this.listenerCount('args_delta') > 0) {
+      this.emitPartialCalls();
+    }
+
+    const newCalls = this.foundCalls.slice(found);
+    return newCalls.length > 0 ? newCalls : null;
+  }
+
+  /**
+   * Extract tool calls from a value left unfinished when the stream ended
+   * @param {object} options - Parsing options (see parse)
+   * @returns {Array|null} Tool calls recovered from the unfinished value
+   */
+  flush(options = {}) {
+    if (this.closers.length === 0) return null;
+
+    const newCalls = parse(this.value, { formats: this.formats, ...options });
+    this.closeValue();
+
     if (newCalls) {
-      // Filter out calls we've already found
-      const uniqueNewCalls = newCalls.filter(newCall => {
-        return !this.foundCalls.some(existing =>
-          existing.tool === newCall.tool &&
-          JSON.stringify(existing.args) === JSON.stringify(newCall.args)
-        );
-      });
-      
-      if (uniqueNewCalls.length > 0) {
-        this.foundCalls.push(...uniqueNewCalls);
-        return uniqueNewCalls;
+      this.completeCalls(newCalls);
+    }
+
+    return newCalls;
+  }
+
+  /**
+   * Scan text, continuing from the state left by the previous chunk
+   * Calls in values closed by this text are added to foundCalls
+   * @param {string} text - Text to scan
+   */
+  scan(text) {
+    // Offset in text where the open value's unscanned part begins
+    let segmentStart = 0;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (this.closers.length === 0) {
+        if (this.scanText(char)) {
+          segmentStart = index;
+        }
+        continue;
+      }
+
+      const wasInString = this.inString;
+      const offset = this.value.length + index - segmentStart;
+      const state = this.scanValue(char, offset);
+
+      if (!wasInString) {
+        this.trackKey(char, offset);
+        this.trackInvalid(char, offset);
+      }
+
+      if (state === 'open') continue;
+
+      const valueText = this.value + text.slice(segmentStart, index + 1);
+
+      if (state === 'inner') {
+        // A stray bracket in prose leaves a value that never closes, so
+        // calls after it are read on their own and the stale prefix dropped
+        const toolCalls = this.extractInnerCalls(valueText);
+        if (toolCalls.length === 0) continue;
+
+        this.completeCalls(toolCalls);
+        this.closeValue();
+        this.recent = '';
+        segmentStart = index + 1;
+        continue;
+      }
+
+      const parsed = state === 'closed' ? safeJsonParse(valueText) : null;
+
+      if (parsed !== null) {
+        this.completeCalls(this.extractValueCalls(parsed));
+        this.closeValue();
+        this.recent = '';
+      } else {
+        // Not JSON after all (e.g. prose in braces): look inside it instead
+        this.closeValue();
+        this.recent += valueText[0];
+        this.scan(valueText.slice(1));
+      }
+
+      segmentStart = index + 1;
+    }
+
+    if (this.closers.length > 0) {
+      this.value += text.slice(segmentStart);
+    }
+  }
+
+  /**
+   * Extract calls from a value that just closed inside an open value which
+   * is no longer valid JSON
+   * Only values opened after the invalid text, directly inside the brackets
+   * around it, are read
+   * @param {string} valueText - Open value text, up to the closing bracket
+   * @returns {Array} Tool calls in the inner value
+   */
+  extractInnerCalls(valueText) {
+    const parentStart = this.openers[this.openers.length - 1];
+    const stale = this.invalidAt !== -1 && parentStart <= this.invalidAt && this.innerStart > this.invalidAt;
+    if (!stale) return [];
+
+    const parsed = safeJsonParse(valueText.slice(this.innerStart));
+    return parsed !== null ? this.extractValueCalls(parsed) : [];
+  }
+
+  /**
+   * Record completed calls, finishing their start/delta/end events
+   * @param {Array} toolCalls - Calls from the value that just closed
+   */
+  completeCalls(toolCalls) {
+    toolCalls.forEach((call, position) => {
+      const index = this.foundCalls.length;
+
+      this.emitPartialCall(position, call);
+      this.emit('tool_end', { index, tool: call.tool, id: call.id, args: call.args });
+      this.foundCalls.push(call);
+    });
+
+    this.partialCalls = [];
+  }
+
+  /**
+   * Track where strings and object keys start in the open value, so partial
+   * calls can leave out a key that has no value yet
+   * @param {string} char - Character just scanned, outside a string
+   * @param {number} offset - Offset of the character within the open value
+   */
+  trackKey(char, offset) {
+    if (this.inString) {
+      const inObject = this.closers[this.closers.length - 1] === '}';
+      const afterSeparator = this.lastToken === '{' || this.lastToken === ',';
+
+      this.stringStart = offset;
+      this.keyStart = inObject && afterSeparator ? offset : -1;
+    } else if (char !== ':' && !/\s/.test(char)) {
+      this.keyStart = -1;
+    }
+
+    if (!/\s/.test(char)) {
+      this.lastToken = char;
+    }
+  }
+
+  /**
+   * Note where the open value stops being valid JSON: a character outside a
+   * string that no JSON token uses, or a word that is not true, false or null
+   * @param {string} char - Character just scanned, outside a string
+   * @param {number} offset - Offset of the character within the open value
+   */
+  trackInvalid(char, offset) {
+    if (this.invalidAt !== -1) return;
+
+    if (/[a-zA-Z]/.test(char)) {
+      // Exponents of numbers
+      if (this.word === '' && /[eE]/.test(char) && /[\d.]/.test(this.previousChar)) {
+        this.previousChar = char;
+        return;
+      }
+
+      this.word += char;
+      if (!JSON_LITERALS.some(literal => literal.startsWith(this.word))) {
+        this.invalidAt = offset;
+      }
+    } else {
+      this.word = '';
+      if (!/[\s{}[\],:"\d.+-]/.test(char)) {
+        this.invalidAt = offset;
       }
     }
-    
-    return null;
+
+    this.previousChar = char;
+  }
+
+  /**
+   * Emit tool_start and args_delta events for calls in the open value
+   * Large values are only re-read once they have grown by an eighth
+   */
+  emitPartialCalls() {
+    if (this.closers.length === 0 || !shouldReread(this.value.length, this.partialLength)) return;
+
+    this.partialLength = this.value.length;
+
+    // Keys without a value yet are left out, and tool names are only
+    // trusted once their string has closed
+    const current = this.keyStart !== -1 ? this.value.slice(0, this.keyStart) : this.value;
+    const settled = this.inString ? this.value.slice(0, this.stringStart) : current;
+    const namedCalls = this.extractPartialCalls(settled);
+    const currentCalls = settled === current ? namedCalls : this.extractPartialCalls(current);
+
+    namedCalls.forEach((call, position) => {
+      const current = currentCalls[position];
+      const args = current && current.tool === call.tool ? current.args : call.args;
+
+      this.emitPartialCall(position, { ...call, args });
+    });
+  }
+
+  /**
+   * Extract calls from the repaired text of an unfinished value
+   * @param {string} text - Unfinished value text
+   * @returns {Array} Best-effort partial calls
+   */
+  extractPartialCalls(text) {
+    const repaired = repairJson(text);
+    return repaired ? this.extractValueCalls(repaired.value) : [];
+  }
+
+  /**
+   * Emit tool_start the first time a call is seen, and args_delta when its
+   * arguments have changed since the last event
+   * @param {number} position - Position of the call within the open value
+   * @param {object} call - Call with tool, args and optional id
+   */
+  emitPartialCall(position, call) {
+    const index = this.foundCalls.length + position;
+    let partial = this.partialCalls[position];
+
+    if (!partial || partial.tool !== call.tool) {
+      partial = { tool: call.tool, args: null };
+      this.partialCalls[position] = partial;
+      this.emit('tool_start', { index, tool: call.tool, id: call.id });
+    }
+
+    const args = JSON.stringify(call.args);
+    if (args !== partial.args) {
+      partial.args = args;
+      this.emit('args_delta', { index, tool: call.tool, id: call.id, args: deepClone(call.args) });
+    }
+  }
+
+  /**
+   * Scan a character outside any JSON value
+   * @param {string} char - Character to scan
+   * @returns {boolean} True if the character opens a value
+   */
+  scanText(char) {
+    const inCodeSample = this.fence &&
+      !JSON_FENCE_LANGUAGES.has(this.fence.language) &&
+      !TOOL_CALL_FENCE_LANGUAGES.has(this.fence.language);
+
+    // Code samples in other languages are not tool calls
+    if ((char === '{' || char === '[') && !inCodeSample) {
+      this.closers = [char === '{' ? '}' : ']'];
+      this.openers = [0];
+      this.lastToken = char;
+      this.keyStart = -1;
+      return true;
+    }
+
+    if (char === '\n') {
+      this.endLine();
+    } else if (this.line.length < STREAMING_LINE_WINDOW) {
+      this.line += char;
+    }
+
+    this.recent += char;
+    if (this.recent.length > STREAMING_PREFIX_WINDOW * 2) {
+      this.recent = this.recent.slice(-STREAMING_PREFIX_WINDOW);
+    }
+
+    return false;
+  }
+
+  /**
+   * Scan a character inside the open JSON value
+   * @param {string} char - Character to scan
+   * @param {number} offset - Offset of the character within the open value
+   * @returns {string} 'open', 'closed', 'inner' when a nested value closes,
+   *   or 'mismatched' if the brackets do not pair up
+   */
+  scanValue(char, offset) {
+    if (this.inString) {
+      if (this.escaped) {
+        this.escaped = false;
+      } else if (char === '\\') {
+        this.escaped = true;
+      } else if (char === '"') {
+        this.inString = false;
+      }
+      return 'open';
+    }
+
+    if (char === '"') {
+      this.inString = true;
+    } else if (char === '{' || char === '[') {
+      this.closers.push(char === '{' ? '}' : ']');
+      this.openers.push(offset);
+    } else if (char === '}' || char === ']') {
+      this.innerStart = this.openers.pop();
+      if (this.closers.pop() !== char) return 'mismatched';
+      return this.closers.length === 0 ? 'closed' : 'inner';
+    }
+
+    return 'open';
+  }
+
+  /**
+   * Extract tool calls from a complete JSON value
+   * @param {*} value - Parsed value
+   * @returns {Array} Tool calls in the value
+   */
+  extractValueCalls(value) {
+    // As in parse, a ReAct action input is the call's args whatever it contains
+    const action = hasFormat(this.adapters, 'react') && this.recent.match(STREAMING_REACT_PREFIX);
+    const tool = action ? stripQuotes(action[1]) : '';
+    if (tool && isPlainObject(value)) return [{ tool, args: value }];
+
+    const toolCalls = extractToolCalls(value, this.adapters);
+    if (toolCalls) return toolCalls;
+
+    if (!hasFormat(this.adapters, 'template')) return [];
+
+    // Bodies of tagged or fenced templates use the {name, arguments} shape
+    const tag = this.recent.match(STREAMING_TEMPLATE_PREFIX);
+    const inToolCallFence = this.fence && TOOL_CALL_FENCE_LANGUAGES.has(this.fence.language);
+
+    if (!tag && !inToolCallFence) return [];
+
+    const items = Array.isArray(value) ? value : [value];
+    return items
+      .map(item => normalizeTemplateCall(item, tag ? tag[1] : null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Reset the state of the open value
+   */
+  closeValue() {
+    this.value = '';
+    this.partialLength = 0;
+    this.closers = [];
+    this.openers = [];
+    this.innerStart = 0;
+    this.invalidAt = -1;
+    this.word = '';
+    this.previousChar = '';
+    this.inString = false;
+    this.escaped = false;
+  }
+
+  /**
+   * Track Markdown code fences as each line of text completes
+   */
+  endLine() {
+    const match = this.line.match(/^[ \t]*(`{3,}|~{3,})[ \t]*([^\s`]*)/);
+
+    if (match && !this.fence) {
+      this.fence = { marker: match[1], language: match[2].toLowerCase() };
+    } else if (match && match[1] === this.fence.marker && !match[2]) {
+      this.fence = null;
+    }
+
+    this.line = '';
   }
 
   /**
@@ -339,6 +1679,27 @@ export class StreamingParser {
   reset() {
     this.buffer = '';
     this.foundCalls = [];
+
+    // Tokenizer state, so scanning can resume at the next chunk
+    this.value = '';
+    this.partialLength = 0;
+    this.closers = [];
+    this.inString = false;
+    this.escaped = false;
+    this.stringStart = 0;
+    this.openers = [];
+    this.innerStart = 0;
+    this.invalidAt = -1;
+    this.word = '';
+    this.previousChar = '';
+    this.keyStart = -1;
+    this.lastToken = null;
+    this.line = '';
+    this.recent = '';
+    this.fence = null;
+
+    // Calls in the open value that events have been emitted for
+    this.partialCalls = [];
   }
 
   /**
@@ -348,4 +1709,4 @@ export class StreamingParser {
   getBuffer() {
     return this.buffer;
   }
-}
\ No newline at end of file
+}
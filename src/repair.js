@@ -0,0 +1,297 @@
+/**
+ * Lenient JSON repair for malformed LLM output
+ * Rewrites near-JSON (trailing commas, single quotes, unquoted keys,
+ * Python literals, comments, truncation) into valid JSON
+ */
+
+import { safeJsonParse } from './utils.js';
+
+/**
+ * Literal words mapped to their JSON equivalents, with the repair they imply
+ */
+const LITERALS = {
+  true: { json: 'true' },
+  false: { json: 'false' },
+  null: { json: 'null' },
+  True: { json: 'true', repair: 'python_literals' },
+  False: { json: 'false', repair: 'python_literals' },
+  None: { json: 'null', repair: 'python_literals' },
+  undefined: { json: 'null', repair: 'invalid_literals' },
+  NaN: { json: 'null', repair: 'invalid_literals' },
+  Infinity: { json: 'null', repair: 'invalid_literals' }
+};
+
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const WORD_PATTERN = /[A-Za-z0-9_$.+-]/;
+
+/**
+ * Repair a malformed JSON object or array
+ * Scanning starts at the first non-whitespace character from `start`, which
+ * must open an object or array, and stops when that value closes
+ * @param {string} text - Text containing the malformed JSON
+ * @param {number} start - Offset to start scanning from (default: 0)
+ * @returns {object|null} Result with value, repairs applied and end offset, or null
+ *
+ * @example
+ * repairJson("{tool: 'add', args: {x: 1,},}");
+ * // Returns: { value: { tool: 'add', args: { x: 1 } }, repairs: ['unquoted_keys', 'single_quotes', 'trailing_commas'], end: 29 }
+ */
+export function repairJson(text, start = 0) {
+  const result = repairJsonSpan(text, start);
+  if (!result || result.value === undefined) return null;
+
+  return result;
+}
+
+/**
+ * Repair a malformed JSON object or array, reporting how far scanning got
+ * even when the value cannot be repaired, so callers can skip the brackets
+ * inside it
+ * @param {string} text - Text containing the malformed JSON
+ * @param {number} start - Offset to start scanning from (default: 0)
+ * @returns {object|null} Result with value (undefined if it could not be
+ *   repaired), repairs applied and end offset, or null if no value opens at start
+ */
+export function repairJsonSpan(text, start = 0) {
+  if (typeof text !== 'string') return null;
+
+  let index = start;
+  while (index < text.length && /\s/.test(text[index])) index++;
+
+  if (text[index] !== '{' && text[index] !== '[') return null;
+
+  const repairs = new Set();
+  const frames = [];
+  const openCounts = { '}': 0, ']': 0 };
+  let output = '';
+
+  // Insert any separator the current frame is missing before a new value
+  const beginValue = () => {
+    const frame = frames[frames.length - 1];
+    if (!frame) return;
+
+    if (frame.expect === 'comma') {
+      output += ',';
+      repairs.add('missing_commas');
+      frame.expect = frame.closer === '}' ? 'key' : 'value';
+    } else if (frame.expect === 'colon') {
+      output += ':';
+      repairs.add('missing_colons');
+      frame.expect = 'value';
+    }
+  };
+
+  // Advance the current frame past a completed key or value
+  const endValue = () => {
+    const frame = frames[frames.length - 1];
+    if (!frame) return;
+
+    frame.expect = frame.expect === 'key' ? 'colon' : 'comma';
+  };
+
+  // Close the innermost frame, filling in whatever it is still waiting for
+  const closeFrame = () => {
+    const frame = frames.pop();
+    openCounts[frame.closer]--;
+
+    if (output.endsWith(',')) {
+      output = output.slice(0, -1);
+      repairs.add('trailing_commas');
+    }
+
+    if (frame.expect === 'colon') {
+      output += ':null';
+      repairs.add('missing_values');
+    } else if (frame.expect === 'value' && output.endsWith(':')) {
+      output += 'null';
+      repairs.add('missing_values');
+    }
+
+    output += frame.closer;
+    endValue();
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    // Comments
+    if (char === '/' && (text[index + 1] === '/' || text[index + 1] === '*')) {
+      const block = text[index + 1] === '*';
+      const endMarker = block ? text.indexOf('*/', index + 2) : text.indexOf('\n', index + 2);
+      index = endMarker === -1 ? text.length : endMarker + (block ? 2 : 1);
+      repairs.add('comments');
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      beginValue();
+      output += char;
+      frames.push({ closer: char === '{' ? '}' : ']', expect: char === '{' ? 'key' : 'value' });
+      openCounts[frames[frames.length - 1].closer]++;
+      index++;
+      continue;
+    }
+
+    if (char === '}' || char === ']') {
+      // Ignore stray closers that match nothing we have open
+      if (openCounts[char] === 0) {
+        repairs.add('mismatched_brackets');
+        index++;
+        continue;
+      }
+
+      while (frames[frames.length - 1].closer !== char) {
+        closeFrame();
+        repairs.add('mismatched_brackets');
+      }
+      closeFrame();
+      index++;
+
+      if (frames.length === 0) break;
+      continue;
+    }
+
+    if (char === ':') {
+      const frame = frames[frames.length - 1];
+      if (frame.expect === 'colon') {
+        output += ':';
+        frame.expect = 'value';
+      }
+      index++;
+      continue;
+    }
+
+    if (char === ',') {
+      const frame = frames[frames.length - 1];
+      if (frame.expect === 'comma') {
+        output += ',';
+        frame.expect = frame.closer === '}' ? 'key' : 'value';
+      } else {
+        repairs.add('trailing_commas');
+      }
+      index++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const string = readString(text, index, repairs);
+      beginValue();
+      output += string.json;
+      endValue();
+      index = string.end;
+      continue;
+    }
+
+    if (WORD_PATTERN.test(char)) {
+      let end = index;
+      while (end < text.length && WORD_PATTERN.test(text[end])) end++;
+
+      const word = text.slice(index, end);
+      const frame = frames[frames.length - 1];
+      beginValue();
+
+      if (frame.expect === 'key') {
+        output += JSON.stringify(word);
+        repairs.add('unquoted_keys');
+      } else if (NUMBER_PATTERN.test(word)) {
+        output += word;
+      } else if (Object.prototype.hasOwnProperty.call(LITERALS, word)) {
+        output += LITERALS[word].json;
+        if (LITERALS[word].repair) repairs.add(LITERALS[word].repair);
+      } else {
+        output += JSON.stringify(word);
+        repairs.add('unquoted_values');
+      }
+
+      endValue();
+      index = end;
+      continue;
+    }
+
+    // Anything else is not something we can confidently repair
+    return { value: undefined, repairs: [], end: index };
+  }
+
+  if (frames.length > 0) {
+    repairs.add('unclosed_brackets');
+    while (frames.length > 0) {
+      closeFrame();
+    }
+  }
+
+  const value = safeJsonParse(output);
+
+  return {
+    value: value === null ? undefined : value,
+    repairs: Array.from(repairs),
+    end: index
+  };
+}
+
+/**
+ * Read a single- or double-quoted string and re-encode it as a JSON string
+ * @param {string} text - Source text
+ * @param {number} start - Offset of the opening quote
+ * @param {Set} repairs - Set collecting applied repairs
+ * @returns {object} Result with json (encoded string) and end offset
+ */
+function readString(text, start, repairs) {
+  const quote = text[start];
+  let value = '';
+  let index = start + 1;
+
+  if (quote === "'") {
+    repairs.add('single_quotes');
+  }
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '\\') {
+      const next = text[index + 1];
+
+      if (next === undefined) {
+        index++;
+        break;
+      }
+
+      // JSON has no \' escape, and a lone quote needs no escaping anyway
+      if (next === "'") {
+        value += "'";
+      } else {
+        const decoded = safeJsonParse(`"\\${next === 'u' ? text.slice(index + 1, index + 6) : next}"`);
+
+        if (decoded !== null) {
+          value += decoded;
+          if (next === 'u') index += 4;
+        } else {
+          // Keep unknown escapes such as \d as a literal backslash
+          value += `\\${next}`;
+          repairs.add('invalid_escapes');
+        }
+      }
+
+      index += 2;
+      continue;
+    }
+
+    if (char === quote) {
+      return { json: JSON.stringify(value), end: index + 1 };
+    }
+
+    if (char === '\n' || char === '\r' || char === '\t') {
+      repairs.add('unescaped_control_characters');
+    }
+
+    value += char;
+    index++;
+  }
+
+  repairs.add('unterminated_strings');
+  return { json: JSON.stringify(value), end: index };
+}
@@ -3,7 +3,7 @@
  * Implements standard JSON-RPC request/response patterns with MCP-specific methods
  */
 
-import { Logger } from './utils.js';
+import { Logger, generateId } from './utils.js';
 
 /**
  * JSON-RPC 2.0 error codes as defined in the specification
@@ -30,6 +30,7 @@ export class MCPMessageHandler {
     this.logger = logger || new Logger(false);
     this.initialized = false;
     this.clientInfo = null;
+    this.sessionId = null;
     this.serverInfo = {
       name: 'mcp-js',
       version: '1.0.0'
@@ -167,6 +168,7 @@ export class MCPMessageHandler {
 
       const params = request.params || {};
       this.clientInfo = params.clientInfo || {};
+      this.sessionId = generateId();
       this.initialized = true;
 
       this.logger.success('MCP server initialized', {
@@ -267,9 +269,20 @@ export class MCPMessageHandler {
 
       this.logger.info(`Executing tool: ${name}`, args);
 
-      // Execute tool using existing executor
+      // Execute tool using existing executor, forwarding progress if the client asked for it
       const toolCall = { tool: name, args: args || {} };
-      const result = await this.executor.executeSingle(toolCall);
+      const progressToken = params._meta ? params._meta.progressToken : undefined;
+      const result = await this.executor.executeSingle(toolCall, {
+        session: { id: this.sessionId, clientInfo: this.clientInfo, requestId: request.id },
+        onProgress: progressToken === undefined ? null : ({ progress, total, message }) => {
+          this.send(createNotification('notifications/progress', {
+            progressToken,
+            progress,
+            ...(total !== undefined && { total }),
+            ...(message !== undefined && { message })
+          }));
+        }
+      });
 
       if (result.error) {
         return this.createErrorResponse(
@@ -342,6 +355,7 @@ export class MCPMessageHandler {
       // Reset state
       this.initialized = false;
       this.clientInfo = null;
+      this.sessionId = null;
 
       return this.createSuccessResponse(request.id, {});
 
@@ -452,6 +466,7 @@ export class MCPMessageHandler {
   reset() {
     this.initialized = false;
     this.clientInfo = null;
+    this.sessionId = null;
     this.sendHook = null;
     this.receiveHook = null;
     this.logger.info('MCP handler reset');
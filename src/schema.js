@@ -4,6 +4,7 @@
  */
 
 import Ajv from 'ajv';
+import { deepClone } from './utils.js';
 
 /**
  * Schema validator class wrapping AJV functionality
@@ -18,6 +19,11 @@ export class SchemaValidator {
     
     // Store compiled validators
     this.validators = new Map();
+
+    // Schemas and validators for coercing or stripping modes, compiled on first use
+    this.schemas = new Map();
+    this.modeAjv = new Map();
+    this.modeValidators = new Map();
   }
 
   /**
@@ -48,6 +54,8 @@ export class SchemaValidator {
     try {
       const validator = this.ajv.compile(schema);
       this.validators.set(name, validator);
+      this.schemas.set(name, schema);
+      this.modeValidators.delete(name);
       return true;
     } catch (error) {
       console.error(`Failed to compile schema for '${name}':`, error.message);
@@ -57,12 +65,22 @@ export class SchemaValidator {
 
   /**
    * Validate data against a compiled schema
+   * When coercing or stripping, data is validated as a copy, and the returned
+   * data holds the coerced values, applied defaults and remaining properties
    * @param {string} name - Schema name
    * @param {*} data - Data to validate
+   * @param {object} options - Validation options
+   * @param {boolean|string} options.coerceTypes - Coerce values to the schema's types, as AJV's coerceTypes (default: false)
+   * @param {boolean} options.useDefaults - Fill in missing properties from schema defaults (default: false)
+   * @param {boolean|string} options.removeAdditional - Remove properties the schema does not define, as AJV's removeAdditional (default: false)
    * @returns {object} Result with isValid, errors, and data
    */
-  validate(name, data) {
-    const validator = this.validators.get(name);
+  validate(name, data, options = {}) {
+    const { coerceTypes = false, useDefaults = false, removeAdditional = false } = options;
+    const modified = Boolean(coerceTypes || useDefaults || removeAdditional);
+    const validator = modified
+      ? this.getModeValidator(name, { coerceTypes, useDefaults, removeAdditional })
+      : this.validators.get(name);
     
     if (!validator) {
       return {
@@ -72,6 +90,10 @@ export class SchemaValidator {
       };
     }
 
+    if (modified) {
+      data = deepClone(data);
+    }
+
     const isValid = validator(data);
     
     return {
@@ -81,6 +103,42 @@ export class SchemaValidator {
     };
   }
 
+  /**
+   * Get the validator for a schema in a coercing or stripping mode, compiling it on first use
+   * @param {string} name - Schema name
+   * @param {object} options - Mode options (see validate)
+   * @returns {Function|null} Compiled validator, or null if the schema is unknown
+   */
+  getModeValidator(name, { coerceTypes, useDefaults, removeAdditional }) {
+    const schema = this.schemas.get(name);
+    if (!schema) return null;
+
+    const mode = JSON.stringify([coerceTypes, useDefaults, removeAdditional]);
+
+    if (!this.modeValidators.has(name)) {
+      this.modeValidators.set(name, new Map());
+    }
+
+    const validators = this.modeValidators.get(name);
+
+    if (!validators.has(mode)) {
+      if (!this.modeAjv.has(mode)) {
+        this.modeAjv.set(mode, new Ajv({
+          allErrors: true,
+          verbose: true,
+          strict: false,
+          coerceTypes,
+          useDefaults,
+          removeAdditional
+        }));
+      }
+
+      validators.set(mode, this.modeAjv.get(mode).compile(schema));
+    }
+
+    return validators.get(mode);
+  }
+
   /**
    * Format AJV validation errors into a more readable format
    * @param {Array} ajvErrors - Raw AJV errors
@@ -107,6 +165,8 @@ export class SchemaValidator {
    * @returns {boolean} True if schema was removed
    */
   removeSchema(name) {
+    this.schemas.delete(name);
+    this.modeValidators.delete(name);
     return this.validators.delete(name);
   }
 
@@ -132,6 +192,8 @@ export class SchemaValidator {
    */
   clear() {
     this.validators.clear();
+    this.schemas.clear();
+    this.modeValidators.clear();
   }
 }
 
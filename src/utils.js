@@ -255,4 +255,80 @@ export function isValidJson(str) {
   } catch {
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Text up to this length is always worth reading again as it grows
+ */
+const REREAD_MIN_LENGTH = 1024;
+
+/**
+ * Check whether growing text is worth reading again, e.g. to repair it
+ * Short text always is; longer text once it has grown by an eighth since it
+ * was last read, so reading it as it grows costs linear time overall
+ * @param {number} length - Current length of the text
+ * @param {number} readLength - Length of the text when last read
+ * @returns {boolean} True if the text should be read again
+ */
+export function shouldReread(length, readLength) {
+  return length <= REREAD_MIN_LENGTH || length - readLength >= readLength / 8;
+}
+
+/**
+ * Iterate the chunks of an async iterable, iterable or ReadableStream
+ * Byte chunks are decoded as UTF-8 text; other chunks are passed through
+ * @param {AsyncIterable|Iterable|ReadableStream} source - Chunk source
+ * @returns {AsyncGenerator} Chunks in arrival order
+ */
+export async function* iterateChunks(source) {
+  const decoder = new TextDecoder();
+  const decode = (chunk) => {
+    if (chunk instanceof ArrayBuffer) return decoder.decode(new Uint8Array(chunk), { stream: true });
+    if (ArrayBuffer.isView(chunk)) return decoder.decode(chunk, { stream: true });
+    return chunk;
+  };
+
+  // Not every browser makes ReadableStream async-iterable, so read it directly
+  if (source && typeof source.getReader === 'function' && !source[Symbol.asyncIterator]) {
+    const reader = source.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        yield decode(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  } else {
+    for await (const chunk of source) {
+      yield decode(chunk);
+    }
+  }
+
+  const tail = decoder.decode();
+  if (tail) yield tail;
+}
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -5,6 +5,27 @@
 
 import mcp from './src/index.js';
 
+// Node 14 has no AbortController; cancellation only needs a signal to listen to
+function createAbortController() {
+    if (typeof AbortController !== 'undefined') return new AbortController();
+
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+
+    return {
+        signal,
+        abort: () => {
+            signal.aborted = true;
+            listeners.forEach(listener => listener());
+            listeners.clear();
+        }
+    };
+}
+
 async function runTests() {
     console.log('🧠 Testing mcp-js library...\n');
 
@@ -149,6 +170,952 @@ async function runTests() {
             console.log(`   Streamed result: ${streamExecResults[0].result}`);
         }
 
+        // Test 9: OpenAI tool call shapes
+        console.log('\nTest 9: OpenAI Tool Call Shapes');
+        const openaiParsed = mcp.parse({
+            choices: [{
+                message: {
+                    role: 'assistant',
+                    tool_calls: [{
+                        id: 'call_abc',
+                        type: 'function',
+                        function: { name: 'test_add', arguments: '{"x":1,"y":2}' }
+                    }]
+                }
+            }]
+        });
+        const responsesParsed = mcp.parse({
+            output: [{ type: 'function_call', call_id: 'call_def', name: 'test_add', arguments: '{"x":3,"y":4}' }]
+        });
+
+        if (openaiParsed && openaiParsed[0].args.y === 2 && responsesParsed && responsesParsed[0].args.x === 3) {
+            console.log('✅ OpenAI Chat Completions and Responses API calls parsed');
+        } else {
+            console.log('❌ OpenAI tool call parsing failed');
+        }
+
+        // Test 10: Anthropic and Gemini tool call shapes
+        console.log('\nTest 10: Anthropic and Gemini Tool Call Shapes');
+        const anthropicParsed = mcp.parse({
+            role: 'assistant',
+            content: [
+                { type: 'text', text: 'Adding the numbers.' },
+                { type: 'tool_use', id: 'toolu_01', name: 'test_add', input: { x: 5, y: 6 } }
+            ]
+        });
+        const geminiParsed = mcp.parse({
+            candidates: [{
+                content: { role: 'model', parts: [{ functionCall: { name: 'test_add', args: { x: 7, y: 8 } } }] }
+            }]
+        });
+
+        if (anthropicParsed && anthropicParsed[0].args.x === 5 && geminiParsed && geminiParsed[0].args.y === 8) {
+            console.log('✅ Anthropic tool_use and Gemini functionCall parsed');
+        } else {
+            console.log('❌ Anthropic/Gemini tool call parsing failed');
+        }
+
+        // Test 11: Tag-style tool calls from open-weight models
+        console.log('\nTest 11: Tag-Style Tool Calls');
+        const taggedResponses = [
+            '<tool_call>\n{"name": "test_add", "arguments": {"x": 1, "y": 1}}\n</tool_call>',
+            '<function=test_add>{"x": 1, "y": 1}</function>',
+            '[TOOL_CALLS] [{"name": "test_add", "arguments": {"x": 1, "y": 1}}]',
+            '<|python_tag|>{"name": "test_add", "parameters": {"x": 1, "y": 1}}<|eom_id|>'
+        ];
+        const taggedParsed = taggedResponses.map(response => mcp.parse(response));
+
+        if (taggedParsed.every(calls => calls && calls[0].tool === 'test_add' && calls[0].args.y === 1)) {
+            console.log('✅ Hermes, Llama and Mistral templates parsed');
+        } else {
+            console.log('❌ Tag-style parsing failed');
+            console.log('   Parsed:', JSON.stringify(taggedParsed));
+        }
+
+        // Test 12: Deeply nested calls embedded in prose
+        console.log('\nTest 12: Nested JSON in Prose');
+        const proseParsed = mcp.parse(
+            'First {"tool":"configure","args":{"nodes":[{"id":1,"style":{"fill":"}"}}]}} ' +
+            'then {"tool_call":{"tool":"test_add","args":{"x":1,"y":2}}} and we are done.'
+        );
+
+        if (proseParsed && proseParsed.length === 2 && proseParsed[0].args.nodes[0].style.fill === '}') {
+            console.log('✅ All nested calls extracted from prose');
+        } else {
+            console.log('❌ Nested extraction failed');
+            console.log('   Parsed:', JSON.stringify(proseParsed));
+        }
+
+        // Test 13: Lenient JSON repair
+        console.log('\nTest 13: JSON Repair');
+        const repairedParsed = mcp.parse("Sure: {tool: 'test_add', args: {x: 1, y: 2,}, /* done */}");
+        const truncatedParsed = mcp.parse('{"tool":"reverse_string","args":{"text":"hel');
+        const strictParsed = mcp.parse("{tool: 'test_add', args: {x: 1, y: 2}}", { repair: false });
+
+        if (repairedParsed && repairedParsed[0].args.y === 2 &&
+            repairedParsed[0].repairs.includes('trailing_commas') &&
+            truncatedParsed && truncatedParsed[0].args.text === 'hel' &&
+            strictParsed === null) {
+            console.log('✅ Malformed JSON repaired');
+            console.log('   Repairs:', repairedParsed[0].repairs.join(', '));
+        } else {
+            console.log('❌ JSON repair failed');
+        }
+
+        // Test 14: Markdown fenced code blocks
+        console.log('\nTest 14: Fenced Code Blocks');
+        const fencedResponse = [
+            'I will add the numbers, then reverse the text.',
+            '```json',
+            '{"tool": "test_add", "args": {"x": 2, "y": 3}}',
+            '```',
+            '```tool_call',
+            '{"name": "reverse_string", "arguments": {"text": "abc"}}',
+            '```',
+            'For reference, a call looks like this in code:',
+            '```js',
+            'mcp.execute([{"tool": "test_add", "args": {"x": 0, "y": 0}}]);',
+            '```'
+        ].join('\n');
+        const fencedParsed = mcp.parseMultiple(fencedResponse);
+
+        if (fencedParsed && fencedParsed.length === 2 && fencedParsed[1].tool === 'reverse_string') {
+            console.log('✅ Calls extracted from json and tool_call fences, code sample ignored');
+        } else {
+            console.log('❌ Fenced extraction failed');
+            console.log('   Parsed:', JSON.stringify(fencedParsed));
+        }
+
+        // Test 15: Prose and tool calls separated
+        console.log('\nTest 15: Detailed Parsing');
+        const detailedResponse = 'Let me add those. {"tool":"test_add","args":{"x":4,"y":5}} One moment.';
+        const detailed = mcp.parseDetailed(detailedResponse);
+        const detailedCall = detailed.toolCalls[0];
+
+        if (detailed.text === 'Let me add those.  One moment.' &&
+            detailedCall && detailedCall.tool === 'test_add' &&
+            detailedResponse.slice(detailedCall.start, detailedCall.end).startsWith('{"tool"')) {
+            console.log('✅ Prose and tool calls separated with source spans');
+            console.log('   Text:', detailed.text);
+        } else {
+            console.log('❌ Detailed parsing failed');
+            console.log('   Result:', JSON.stringify(detailed));
+        }
+
+        // Test 16: Provider tool call IDs
+        console.log('\nTest 16: Provider Call IDs');
+        const idParsed = mcp.parse({
+            content: [{ type: 'tool_use', id: 'toolu_42', name: 'test_add', input: { x: 1, y: 1 } }]
+        });
+        const idEvents = [];
+        const onIdCall = (data) => idEvents.push(data.callId);
+        mcp.on('call', onIdCall);
+        const idResults = await mcp.execute(idParsed);
+        mcp.off('call', onIdCall);
+
+        if (idParsed[0].id === 'toolu_42' && idResults[0].metadata.callId === 'toolu_42' && idEvents[0] === 'toolu_42') {
+            console.log('✅ Provider call ID carried through parse and execute');
+        } else {
+            console.log('❌ Provider call ID lost');
+            console.log('   Results:', JSON.stringify(idResults));
+        }
+
+        // Test 17: Incremental streaming parser
+        console.log('\nTest 17: Incremental Streaming');
+        const incrementalParser = mcp.createStreamingParser();
+        const streamedText = 'Adding twice: {"tool":"test_add","args":{"x":1,"y":2}} ' +
+            '{"tool":"test_add","args":{"x":1,"y":2}} and a note {"note":"}{"}';
+        const emitted = [];
+
+        for (const char of streamedText) {
+            const newCalls = incrementalParser.addChunk(char);
+            if (newCalls) emitted.push(...newCalls);
+        }
+
+        if (emitted.length === 2 && incrementalParser.getAllCalls().length === 2) {
+            console.log('✅ Each streamed call emitted exactly once when it closes');
+        } else {
+            console.log('❌ Incremental streaming failed');
+            console.log('   Emitted:', JSON.stringify(emitted));
+        }
+
+        // Test 18: Streaming partial-argument events
+        console.log('\nTest 18: Streaming Events');
+        const eventParser = mcp.createStreamingParser();
+        const streamEvents = [];
+        eventParser.on('tool_start', (data) => streamEvents.push(`start:${data.tool}`));
+        eventParser.on('args_delta', (data) => streamEvents.push(`delta:${JSON.stringify(data.args)}`));
+        eventParser.on('tool_end', (data) => streamEvents.push(`end:${data.tool}`));
+
+        const eventText = '{"tool":"reverse_string","args":{"text":"streaming"}}';
+        for (let i = 0; i < eventText.length; i += 8) {
+            eventParser.addChunk(eventText.slice(i, i + 8));
+        }
+
+        if (streamEvents[0] === 'start:reverse_string' &&
+            streamEvents.includes('delta:{"text":"streami"}') &&
+            streamEvents[streamEvents.length - 1] === 'end:reverse_string') {
+            console.log('✅ tool_start, args_delta and tool_end emitted');
+            console.log('   Events:', streamEvents.join(' → '));
+        } else {
+            console.log('❌ Streaming events failed');
+            console.log('   Events:', streamEvents.join(' → '));
+        }
+
+        // Test 19: Provider delta stream assembly
+        console.log('\nTest 19: Delta Stream Assembly');
+        const openaiAssembler = mcp.createToolCallAssembler();
+        const openaiSse = [
+            'data: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"id":"call_a","type":"function","function":{"name":"test_add","arguments":""}}]},"finish_reason":null}]}\n\n',
+            'data: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"arguments":"{\\"x\\":2,"}}]},"finish_reason":null}]}\n\ndata: {"choices":[{"index":0,"delta":{"tool_calls":[{"index":0,"function":{"argu',
+            'ments":"\\"y\\":3}"}}]},"finish_reason":null}]}\n\n',
+            'data: {"choices":[{"index":0,"delta":{},"finish_reason":"tool_calls"}]}\n\ndata: [DONE]\n\n'
+        ];
+        const openaiCalls = [];
+        for (const chunk of openaiSse) {
+            const calls = openaiAssembler.addChunk(chunk);
+            if (calls) openaiCalls.push(...calls);
+        }
+
+        const anthropicAssembler = mcp.createToolCallAssembler();
+        const anthropicEvents = [
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_b', name: 'reverse_string', input: {} } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"text":' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"delta"}' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_stop' }
+        ];
+        const anthropicCalls = [];
+        for (const event of anthropicEvents) {
+            const calls = anthropicAssembler.addChunk(event);
+            if (calls) anthropicCalls.push(...calls);
+        }
+
+        const assembledResults = await mcp.execute([...openaiCalls, ...anthropicCalls]);
+        if (openaiCalls.length === 1 && openaiCalls[0].id === 'call_a' &&
+            anthropicCalls.length === 1 && anthropicCalls[0].id === 'toolu_b' &&
+            assembledResults[0].result === 5 && assembledResults[1].result === 'atled') {
+            console.log('✅ OpenAI SSE and Anthropic events assembled into calls');
+        } else {
+            console.log('❌ Delta stream assembly failed');
+            console.log('   Calls:', JSON.stringify([...openaiCalls, ...anthropicCalls]));
+        }
+
+        // Test 20: Async-iterable streaming with pipelined execution
+        console.log('\nTest 20: Streaming Execution');
+        async function* llmChunks() {
+            yield 'First {"tool":"test_add","args":{"x":1,"y":1}} then ';
+            yield new TextEncoder().encode('{"tool":"reverse_string","args":{"te');
+            yield 'xt":"stream"}}';
+        }
+
+        const streamedResults = [];
+        for await (const result of mcp.stream(llmChunks(), { execute: true })) {
+            streamedResults.push(result.result);
+        }
+
+        if (streamedResults.length === 2 && streamedResults[0] === 2 && streamedResults[1] === 'maerts') {
+            console.log('✅ Streamed calls executed and yielded in order');
+        } else {
+            console.log('❌ Streaming execution failed');
+            console.log('   Results:', JSON.stringify(streamedResults));
+        }
+
+        async function* openaiSseBytes() {
+            const encoder = new TextEncoder();
+            const delta = (toolCall) => `data: ${JSON.stringify({ choices: [{ index: 0, delta: { tool_calls: [toolCall] } }] })}\n\n`;
+            const sse = delta({ index: 0, id: 'call_a', type: 'function', function: { name: 'test_add', arguments: '' } }) +
+                delta({ index: 0, function: { arguments: '{"x":4,' } }) +
+                delta({ index: 0, function: { arguments: '"y":5}' } }) +
+                'data: {"choices":[{"index":0,"delta":{},"finish_reason":"tool_calls"}]}\n\ndata: [DONE]\n\n';
+
+            // Split mid-line, starting with fewer bytes than an SSE field name
+            for (let i = 0; i < sse.length; i += 3) {
+                yield encoder.encode(sse.slice(i, i + 3));
+            }
+        }
+
+        const sseResults = [];
+        for await (const result of mcp.stream(openaiSseBytes(), { execute: true })) {
+            sseResults.push(result);
+        }
+
+        if (sseResults.length === 1 && sseResults[0].result === 9 && sseResults[0].metadata.callId === 'call_a') {
+            console.log('✅ Raw OpenAI SSE bytes assembled before executing');
+        } else {
+            console.log('❌ SSE streaming failed');
+            console.log('   Results:', JSON.stringify(sseResults));
+        }
+
+        // Test 21: Parse diagnostics
+        console.log('\nTest 21: Parse Diagnostics');
+        const diagnostics = mcp.parseDiagnostics(
+            '{"tool":"test_add"} {"tool":"test add","args":{}} {"tool":"test_add","args":[1]} {"tool":"x",}'
+        );
+        const reasons = diagnostics.candidates.map(candidate => candidate.reason || 'accepted');
+
+        if (reasons.join(',') === 'missing_args,invalid_name,accepted,invalid_json' &&
+            diagnostics.candidates[2].calls[0].warnings[0] === 'coerced_args' &&
+            diagnostics.toolCalls.length === 1) {
+            console.log('✅ Each candidate reported with its rejection reason');
+        } else {
+            console.log('❌ Parse diagnostics failed');
+            console.log('   Reasons:', reasons.join(', '));
+        }
+
+        // Test 22: Pluggable tool call formats
+        console.log('\nTest 22: Format Registry');
+        mcp.registerFormat('react_json', {
+            detect: (obj) => typeof obj.action === 'string' && obj.action_input !== undefined,
+            normalize: (obj) => ({ tool: obj.action, args: obj.action_input })
+        });
+
+        const customCalls = mcp.parse('{"action":"test_add","action_input":{"x":4,"y":5}}');
+        const restrictedCalls = mcp.parse(
+            '{"tool":"test_add","args":{"x":1,"y":1}} {"action":"test_add","action_input":{"x":2,"y":2}}',
+            { formats: ['react_json'] }
+        );
+        mcp.unregisterFormat('react_json');
+
+        if (customCalls && customCalls[0].args.y === 5 &&
+            restrictedCalls.length === 1 && restrictedCalls[0].args.x === 2 &&
+            mcp.parse('{"action":"test_add","action_input":{}}') === null) {
+            console.log('✅ Custom format registered, restricted and removed');
+        } else {
+            console.log('❌ Format registry failed');
+            console.log('   Calls:', JSON.stringify(customCalls), JSON.stringify(restrictedCalls));
+        }
+
+        // Test 23: ReAct-style text
+        console.log('\nTest 23: ReAct Actions');
+        const reactCalls = mcp.parse(
+            'Thought: I need to add.\nAction: test_add\nAction Input: {"x": 3, "y": 4}\nObservation:'
+        );
+        const reactFinal = mcp.parseDetailed('Thought: I have the result.\nFinal Answer: The sum is 7.');
+
+        if (reactCalls && reactCalls[0].tool === 'test_add' && reactCalls[0].args.y === 4 &&
+            reactFinal.finalAnswer === 'The sum is 7.' && reactFinal.toolCalls.length === 0) {
+            console.log('✅ ReAct action parsed and final answer detected');
+        } else {
+            console.log('❌ ReAct parsing failed');
+            console.log('   Calls:', JSON.stringify(reactCalls), 'Final:', reactFinal.finalAnswer);
+        }
+
+        // Test 24: Tool name resolution
+        console.log('\nTest 24: Tool Name Resolution');
+        mcp.register('reverse_text', ({ text }) => text.split('').reverse().join(''), { aliases: ['mirror'] });
+
+        const resolvedResults = await mcp.execute([
+            { tool: 'reverseText', args: { text: 'abc' } },
+            { tool: 'mirror', args: { text: 'xyz' } },
+            { tool: 'revrse_txt', args: { text: 'abc' } }
+        ]);
+
+        if (resolvedResults[0].result === 'cba' && resolvedResults[0].metadata.requestedTool === 'reverseText' &&
+            resolvedResults[1].result === 'zyx' &&
+            resolvedResults[2].error.includes("Did you mean 'reverse_text'")) {
+            console.log('✅ Normalized names and aliases resolved, suggestions offered');
+        } else {
+            console.log('❌ Tool name resolution failed');
+            console.log('   Results:', JSON.stringify(resolvedResults.map(r => r.result || r.error)));
+        }
+
+        // Test 25: Schema-driven coercion and defaults
+        console.log('\nTest 25: Argument Coercion');
+        mcp.register('repeat_text', ({ text, times, upper }) => (upper ? text.toUpperCase() : text).repeat(times), {
+            schema: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string' },
+                    times: { type: 'integer', default: 2 },
+                    upper: { type: 'boolean' }
+                },
+                required: ['text']
+            },
+            coerceTypes: true,
+            useDefaults: true
+        });
+
+        const coercedResults = await mcp.execute([
+            { tool: 'repeat_text', args: { text: 'ab', upper: 'true' } },
+            { tool: 'repeat_text', args: { text: 'ab', times: '3' } }
+        ]);
+
+        if (coercedResults[0].result === 'ABAB' &&
+            coercedResults[0].metadata.coercedArgs.times === 2 &&
+            coercedResults[1].result === 'ababab') {
+            console.log('✅ String arguments coerced and defaults applied');
+        } else {
+            console.log('❌ Argument coercion failed');
+            console.log('   Results:', JSON.stringify(coercedResults));
+        }
+
+        // Test 26: Output schema validation
+        console.log('\nTest 26: Output Validation');
+        const userSchema = {
+            type: 'object',
+            properties: { id: { type: 'number' }, name: { type: 'string' } },
+            required: ['id']
+        };
+        mcp.register('lookup_user', ({ id }) => ({ id, name: 'Ada', password: 'secret' }), {
+            outputSchema: userSchema,
+            outputValidation: 'strip'
+        });
+        mcp.register('broken_user', () => ({ name: 'Ada' }), {
+            outputSchema: userSchema,
+            outputValidation: 'error'
+        });
+
+        const outputEvents = [];
+        const onOutputError = (data) => outputEvents.push(data.tool);
+        mcp.on('output_validation_error', onOutputError);
+        const outputResults = await mcp.execute([
+            { tool: 'lookup_user', args: { id: 1 } },
+            { tool: 'broken_user', args: {} }
+        ]);
+        mcp.off('output_validation_error', onOutputError);
+
+        if (outputResults[0].result.password === undefined && outputResults[0].result.name === 'Ada' &&
+            outputResults[1].error && outputResults[1].validationErrors[0].property === 'id' &&
+            outputEvents.join(',') === 'broken_user') {
+            console.log('✅ Extra fields stripped and invalid result reported as error');
+        } else {
+            console.log('❌ Output validation failed');
+            console.log('   Results:', JSON.stringify(outputResults));
+        }
+
+        // Test 27: Timeouts and cancellation
+        console.log('\nTest 27: Timeouts and Cancellation');
+        let toolSignal = null;
+        mcp.register('slow_task', (args, { signal }) => {
+            toolSignal = signal;
+            return new Promise(resolve => setTimeout(() => resolve('done'), 200));
+        }, { timeout: 20 });
+        mcp.register('wait_task', () => new Promise(resolve => setTimeout(() => resolve('done'), 200)));
+
+        const timedOut = await mcp.execute([{ tool: 'slow_task', args: {} }]);
+
+        const controller = createAbortController();
+        setTimeout(() => controller.abort(), 20);
+        const cancelled = await mcp.execute([
+            { tool: 'wait_task', args: {} },
+            { tool: 'test_add', args: { x: 1, y: 2 } }
+        ], { timeout: 1000, signal: controller.signal });
+
+        if (timedOut[0].status === 'timeout' && (typeof AbortController === 'undefined' || toolSignal.aborted) &&
+            cancelled[0].status === 'cancelled' && cancelled[1].status === 'cancelled') {
+            console.log('✅ Slow call timed out and cancelled batch stopped');
+        } else {
+            console.log('❌ Timeouts and cancellation failed');
+            console.log('   Results:', JSON.stringify([timedOut, cancelled]));
+        }
+
+        // Test 28: Tool execution context
+        console.log('\nTest 28: Execution Context');
+        mcp.register('sum_twice', async ({ x, y }, { callId, session, runtime, reportProgress }) => {
+            const first = await runtime.executeSingle('test_add', { x, y });
+            reportProgress(1, 2);
+            const second = await runtime.executeSingle('test_add', { x: first, y: first });
+            reportProgress(2, 2, 'done');
+            return { callId, user: session.user, total: second };
+        });
+
+        const progressUpdates = [];
+        const contextResults = await mcp.execute([{ id: 'call_ctx', tool: 'sum_twice', args: { x: 1, y: 2 } }], {
+            session: { user: 'ada' },
+            onProgress: (update) => progressUpdates.push(`${update.progress}/${update.total}`)
+        });
+        const contextResult = contextResults[0].result;
+
+        if (contextResult && contextResult.callId === 'call_ctx' && contextResult.user === 'ada' &&
+            contextResult.total === 6 && progressUpdates.join(',') === '1/2,2/2') {
+            console.log('✅ Context carries call ID, session, runtime and progress reporting');
+        } else {
+            console.log('❌ Execution context failed');
+            console.log('   Results:', JSON.stringify(contextResults), progressUpdates);
+        }
+
+        // Test 29: Retry policies
+        console.log('\nTest 29: Retry Policies');
+        let flakyCalls = 0;
+        mcp.register('flaky_fetch', (args, { attempt }) => {
+            flakyCalls++;
+            if (attempt < 3) throw new Error('Network error');
+            return 'ok';
+        }, { retry: { maxAttempts: 3, delay: 5 } });
+        mcp.register('missing_record', () => {
+            throw new Error('Not found');
+        });
+
+        const retryEvents = [];
+        const onRetry = (data) => retryEvents.push(`${data.tool}:${data.attempt}`);
+        mcp.on('retry', onRetry);
+        const retryResults = await mcp.execute([
+            { tool: 'flaky_fetch', args: {} },
+            { tool: 'missing_record', args: {} }
+        ], { retry: { maxAttempts: 5, delay: 5, retryable: (error) => error.message !== 'Not found' } });
+        mcp.off('retry', onRetry);
+
+        const flakyAttempts = retryResults[0].metadata.attempts || [];
+        if (retryResults[0].result === 'ok' && flakyCalls === 3 &&
+            flakyAttempts.map(a => a.status).join(',') === 'error,error,success' &&
+            retryResults[1].metadata.attempts.length === 1 &&
+            retryEvents.join(',') === 'flaky_fetch:1,flaky_fetch:2') {
+            console.log('✅ Flaky call retried and non-retryable error reported once');
+        } else {
+            console.log('❌ Retry policies failed');
+            console.log('   Results:', JSON.stringify(retryResults), retryEvents);
+        }
+
+        // Test 30: Concurrency pool
+        console.log('\nTest 30: Concurrency Pool');
+        mcp.register('sleep_for', ({ ms }) => new Promise(resolve => setTimeout(() => resolve(ms), ms)));
+
+        const finishOrder = [];
+        const onPoolResult = (data) => finishOrder.push(data.result);
+        mcp.on('result', onPoolResult);
+        const poolResults = await mcp.execute([
+            { tool: 'sleep_for', args: { ms: 120 } },
+            { tool: 'sleep_for', args: { ms: 20 } },
+            { tool: 'sleep_for', args: { ms: 20 } },
+            { tool: 'sleep_for', args: { ms: 20 } }
+        ], { parallel: true, maxConcurrency: 2 });
+        mcp.off('result', onPoolResult);
+
+        const stoppedResults = await mcp.execute([
+            { tool: 'sleep_for', args: { ms: 10 } },
+            { tool: 'missing_record', args: {} },
+            { tool: 'sleep_for', args: { ms: 10 } },
+            { tool: 'sleep_for', args: { ms: 10 } }
+        ], { parallel: true, maxConcurrency: 2, continueOnError: false });
+
+        // The short calls share the second slot and finish before the long one
+        if (poolResults.map(r => r.result).join(',') === '120,20,20,20' && finishOrder.join(',') === '20,20,20,120' &&
+            stoppedResults.length === 2 && stoppedResults[1].error) {
+            console.log('✅ Pool kept slots busy and stopped after an error');
+        } else {
+            console.log('❌ Concurrency pool failed');
+            console.log('   Results:', JSON.stringify([poolResults, stoppedResults]), finishOrder);
+        }
+
+        // Test 31: Dependent tool calls
+        console.log('\nTest 31: Dependent Tool Calls');
+        mcp.register('create_node', ({ label }) => ({ id: `node_${label}` }));
+        mcp.register('connect_nodes', ({ from, to }) => `${from}->${to}`);
+
+        const graphResults = await mcp.execute([
+            { id: 'call_3', tool: 'connect_nodes', args: { from: { $ref: 'call_1.result.id' }, to: { $ref: 'call_2.result.id' } } },
+            { id: 'call_1', tool: 'create_node', args: { label: 'a' } },
+            { id: 'call_2', tool: 'create_node', args: { label: 'b' } },
+            { id: 'call_4', tool: 'connect_nodes', args: { from: { $ref: 'call_5.result' }, to: 'x' } },
+            { id: 'call_5', tool: 'connect_nodes', args: { from: { $ref: 'call_4.result' }, to: 'y' } },
+            { id: 'call_6', tool: 'connect_nodes', args: { from: { $ref: 'call_9.result' }, to: 'z' } }
+        ], { dag: true });
+
+        if (graphResults[0].result === 'node_a->node_b' &&
+            graphResults[0].metadata.dependsOn.join(',') === 'call_1,call_2' &&
+            graphResults[3].error.startsWith('Dependency cycle') && graphResults[4].error.startsWith('Dependency cycle') &&
+            graphResults[5].error === "Reference to unknown call 'call_9'") {
+            console.log('✅ References resolved in dependency order, cycles and missing references reported');
+        } else {
+            console.log('❌ Dependent tool calls failed');
+            console.log('   Results:', JSON.stringify(graphResults));
+        }
+
+        // Test 32: Middleware
+        console.log('\nTest 32: Middleware');
+        const middlewareLog = [];
+        const logCalls = async (ctx, next) => {
+            middlewareLog.push(`before:${ctx.tool}`);
+            await next();
+            middlewareLog.push(`after:${ctx.tool}`);
+        };
+        const doubleArgs = async (ctx, next) => {
+            ctx.args = { x: ctx.args.x * 2, y: ctx.args.y * 2 };
+            return (await next()) + 1;
+        };
+        const denyAll = () => {
+            throw new Error('Not allowed');
+        };
+        const cached = () => 'cached';
+
+        mcp.use(logCalls);
+        mcp.use(doubleArgs, { tools: 'test_add' });
+        mcp.use(denyAll, { tools: ['reverse_string'] });
+        mcp.use(cached, { tools: 'slow_task' });
+
+        const middlewareResults = await mcp.execute([
+            { tool: 'test_add', args: { x: 1, y: 2 } },
+            { tool: 'reverse_string', args: { text: 'abc' } },
+            { tool: 'slow_task', args: {} }
+        ]);
+
+        [logCalls, doubleArgs, denyAll, cached].forEach(middleware => mcp.removeMiddleware(middleware));
+        const unwrapped = await mcp.executeSingle('test_add', { x: 1, y: 2 });
+
+        if (middlewareResults[0].result === 7 && middlewareResults[1].error === 'Not allowed' &&
+            middlewareResults[2].result === 'cached' && unwrapped === 3 &&
+            middlewareLog.join(',') === 'before:test_add,after:test_add,before:reverse_string,before:slow_task,after:slow_task') {
+            console.log('✅ Middleware rewrote args and results, denied and short-circuited calls');
+        } else {
+            console.log('❌ Middleware failed');
+            console.log('   Results:', JSON.stringify(middlewareResults), middlewareLog, unwrapped);
+        }
+
+        // Test 33: Approval for sensitive tools
+        console.log('\nTest 33: Tool Approval');
+        mcp.register('delete_node', ({ id }) => `deleted ${id}`, { requiresApproval: true });
+        mcp.register('submit_form', ({ formId }) => `submitted ${formId}`, {
+            requiresApproval: ({ formId }) => formId !== 'search'
+        });
+
+        const unhandled = await mcp.execute([{ tool: 'delete_node', args: { id: 'n0' } }]);
+
+        const approvalRequests = [];
+        const decisions = ['deny', 'approve_always', true];
+        mcp.setApprovalHandler(async ({ tool, args }) => {
+            approvalRequests.push(`${tool}:${args.id || args.formId}`);
+            return decisions.shift();
+        });
+
+        const approvalResults = await mcp.execute([
+            { tool: 'delete_node', args: { id: 'n1' } },
+            { tool: 'delete_node', args: { id: 'n2' } },
+            { tool: 'delete_node', args: { id: 'n3' } },
+            { tool: 'submit_form', args: { formId: 'search' } },
+            { tool: 'submit_form', args: { formId: 'checkout' } }
+        ]);
+        mcp.setApprovalHandler(null);
+        mcp.clearApprovals();
+
+        if (unhandled[0].status === 'denied' &&
+            approvalResults.map(r => r.status).join(',') === 'denied,success,success,success,success' &&
+            approvalResults[2].metadata.approval === 'session' && approvalResults[4].metadata.approval === 'approve_once' &&
+            approvalRequests.join(',') === 'delete_node:n1,delete_node:n2,submit_form:checkout') {
+            console.log('✅ Calls denied, approved once and approved for the session');
+        } else {
+            console.log('❌ Tool approval failed');
+            console.log('   Results:', JSON.stringify(approvalResults), approvalRequests);
+        }
+
+        // Test 34: Cancellation while middleware is awaited
+        console.log('\nTest 34: Cancellation During Middleware');
+        let guardedRuns = 0;
+        mcp.register('guarded_task', () => ++guardedRuns);
+        const slowCheck = async (ctx, next) => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            return next();
+        };
+        mcp.use(slowCheck, { tools: 'guarded_task' });
+
+        const middlewareController = createAbortController();
+        setTimeout(() => middlewareController.abort(), 10);
+        const abortedInMiddleware = await mcp.execute([{ tool: 'guarded_task', args: {} }], {
+            signal: middlewareController.signal
+        });
+        mcp.removeMiddleware(slowCheck);
+
+        if (abortedInMiddleware[0].status === 'cancelled' && guardedRuns === 0) {
+            console.log('✅ Tool not run after the batch was cancelled during middleware');
+        } else {
+            console.log('❌ Cancellation during middleware failed');
+            console.log('   Results:', JSON.stringify(abortedInMiddleware), guardedRuns);
+        }
+
+        // Test 35: Approval sessions and cancellation
+        console.log('\nTest 35: Approval Sessions and Cancellation');
+        mcp.setApprovalHandler(async ({ session }) => (session.id === 'client_a' ? 'approve_always' : 'deny'));
+        const sessionResults = [
+            ...await mcp.execute([{ tool: 'delete_node', args: { id: 'a1' } }], { session: { id: 'client_a' } }),
+            ...await mcp.execute([{ tool: 'delete_node', args: { id: 'b1' } }], { session: { id: 'client_b' } }),
+            ...await mcp.execute([{ tool: 'delete_node', args: { id: 'a2' } }], { session: { id: 'client_a' } })
+        ];
+
+        mcp.setApprovalHandler(() => new Promise(resolve => setTimeout(() => resolve('approve_once'), 50)));
+        const approvalController = createAbortController();
+        setTimeout(() => approvalController.abort(), 10);
+        const cancelledApproval = await mcp.execute([{ tool: 'delete_node', args: { id: 'c1' } }], {
+            signal: approvalController.signal
+        });
+        mcp.setApprovalHandler(null);
+        mcp.clearApprovals();
+
+        if (sessionResults.map(r => r.status).join(',') === 'success,denied,success' &&
+            sessionResults[2].metadata.approval === 'session' && cancelledApproval[0].status === 'cancelled') {
+            console.log('✅ Approvals kept per session and late decisions for cancelled calls ignored');
+        } else {
+            console.log('❌ Approval sessions and cancellation failed');
+            console.log('   Results:', JSON.stringify([sessionResults, cancelledApproval]));
+        }
+
+        // Sessions without an id are told apart by object, and only approvals are stored
+        let approvalPrompts = 0;
+        mcp.setApprovalHandler(() => {
+            approvalPrompts++;
+            return 'approve_always';
+        });
+        const userSession = { user: 'u' };
+        for (let i = 0; i < 5; i++) {
+            await mcp.execute([{ tool: 'test_add', args: { x: i, y: i } }], { session: { user: 'u' } });
+        }
+        await mcp.execute([{ tool: 'delete_node', args: { id: 'd1' } }], { session: userSession });
+        await mcp.execute([{ tool: 'delete_node', args: { id: 'd2' } }], { session: userSession });
+        mcp.clearApprovals('delete_node');
+        await mcp.execute([{ tool: 'delete_node', args: { id: 'd3' } }], { session: userSession });
+        mcp.setApprovalHandler(null);
+        mcp.clearApprovals();
+
+        if (approvalPrompts === 2 && mcp.executor.approvedTools.size === 0) {
+            console.log('✅ Approvals for sessions without an id held weakly and cleared on request');
+        } else {
+            console.log('❌ Approvals for sessions without an id failed');
+            console.log('   Prompts:', approvalPrompts, 'Stored sessions:', mcp.executor.approvedTools.size);
+        }
+
+        // Test 36: Text formats are selected like any other format
+        console.log('\nTest 36: Template and ReAct Format Selection');
+        const taggedText = '<tool_call>{"name":"test_add","arguments":{"x":1,"y":2}}</tool_call>';
+        const fencedText = '```tool_call\n{"name":"test_add","arguments":{"x":1,"y":2}}\n```';
+        const reactText = 'Action: test_add\nAction Input: {"x":1,"y":2}';
+        const templateStream = mcp.createStreamingParser({ formats: ['template'] });
+        const openaiStream = mcp.createStreamingParser({ formats: ['openai'] });
+        const formatChecks = [
+            mcp.parse(taggedText, { formats: ['openai'] }) === null,
+            mcp.parse(taggedText, { formats: ['native'] }) === null,
+            mcp.parse(fencedText, { formats: ['native'] }) === null,
+            mcp.parse(reactText, { formats: ['native'] }) === null,
+            mcp.parse(taggedText, { formats: ['template'] })[0].args.y === 2,
+            mcp.parse(fencedText, { formats: ['template'] })[0].args.y === 2,
+            mcp.parse(reactText, { formats: ['react'] })[0].args.y === 2,
+            openaiStream.addChunk(taggedText) === null,
+            templateStream.addChunk(taggedText)[0].tool === 'test_add',
+            mcp.parseDiagnostics(reactText).candidates[0].calls[0].format === 'react'
+        ];
+
+        if (formatChecks.every(Boolean)) {
+            console.log('✅ Template and ReAct text parsed only when their format is selected');
+        } else {
+            console.log('❌ Template and ReAct format selection failed');
+            console.log('   Checks:', formatChecks.join(', '));
+        }
+
+        // Test 37: Repair stops once it has taken in the rest of the text
+        console.log('\nTest 37: Repairing Unclosed Brackets');
+        const repairStarted = Date.now();
+        const unclosedCalls = mcp.parse('x {'.repeat(2000));
+        const repairElapsed = Date.now() - repairStarted;
+
+        if (unclosedCalls === null && repairElapsed < 1000) {
+            console.log('✅ Text full of unclosed brackets repaired once, not at every bracket');
+        } else {
+            console.log('❌ Repairing unclosed brackets failed');
+            console.log('   Result:', JSON.stringify(unclosedCalls), `${repairElapsed}ms`);
+        }
+
+        // Test 38: Deeply nested values are not searched all the way down
+        console.log('\nTest 38: Deeply Nested Values');
+        let nestedResults;
+        try {
+            nestedResults = [
+                mcp.parse('['.repeat(5000)),
+                mcp.parse('['.repeat(5000) + ']'.repeat(5000)),
+                mcp.parse('x {'.repeat(8000)),
+                mcp.parseDiagnostics('x ' + '['.repeat(5000) + ']'.repeat(5000)).toolCalls.length
+            ];
+        } catch (error) {
+            nestedResults = [error.message];
+        }
+
+        if (nestedResults.join(',') === ',,,0') {
+            console.log('✅ Deeply nested input parsed without exhausting the stack');
+        } else {
+            console.log('❌ Deeply nested values failed');
+            console.log('   Results:', JSON.stringify(nestedResults));
+        }
+
+        // Test 39: Long partial arguments are not re-read on every chunk
+        console.log('\nTest 39: Partial Arguments for Long Calls');
+        const longArgs = JSON.stringify({ text: 'a'.repeat(40000) });
+        const longParser = mcp.createStreamingParser();
+        const longAssembler = mcp.createToolCallAssembler();
+        let parserDeltas = 0;
+        let assemblerDeltas = 0;
+        longParser.on('args_delta', () => parserDeltas++);
+        longAssembler.on('args_delta', () => assemblerDeltas++);
+
+        const longText = `{"tool":"reverse_string","args":${longArgs}}`;
+        let longCalls = null;
+        for (let i = 0; i < longText.length; i += 20) {
+            longCalls = longParser.addChunk(longText.slice(i, i + 20)) || longCalls;
+        }
+
+        longAssembler.addChunk({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_long', function: { name: 'reverse_string', arguments: '' } }] } }] });
+        for (let i = 0; i < longArgs.length; i += 20) {
+            longAssembler.addChunk({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: longArgs.slice(i, i + 20) } }] } }] });
+        }
+        const assembledLong = longAssembler.addChunk({ choices: [{ delta: {}, finish_reason: 'tool_calls' }] });
+
+        if (parserDeltas < 200 && assemblerDeltas < 200 &&
+            longCalls[0].args.text.length === 40000 && assembledLong[0].args.text.length === 40000) {
+            console.log('✅ Long partial arguments re-read as they grow, not on every chunk');
+        } else {
+            console.log('❌ Partial arguments for long calls failed');
+            console.log('   Deltas:', parserDeltas, assemblerDeltas);
+        }
+
+        // Test 40: Unmatched brackets in long prose are scanned once
+        console.log('\nTest 40: Unmatched Brackets in Long Prose');
+        const bracketProse = 'Sad :-[ a set {a, b. '.repeat(2500) + '{"tool":"test_add","args":{"x":1,"y":2}}';
+        const scanStarted = Date.now();
+        const proseCalls = mcp.parse(bracketProse, { repair: false });
+        const proseDiagnostics = mcp.parseDiagnostics(bracketProse);
+        const scanElapsed = Date.now() - scanStarted;
+
+        if (proseCalls && proseCalls.length === 1 && proseDiagnostics.toolCalls.length === 1 && scanElapsed < 1000) {
+            console.log('✅ Long prose with unmatched brackets scanned in a single pass');
+        } else {
+            console.log('❌ Unmatched brackets in long prose failed');
+            console.log('   Result:', JSON.stringify(proseCalls), `${scanElapsed}ms`);
+        }
+
+        // Test 41: Brackets inside text that cannot be repaired are not repaired again
+        console.log('\nTest 41: Unrepairable Nested Brackets');
+        const unrepairableStarted = Date.now();
+        const unrepairableCalls = mcp.parse('{'.repeat(3000) + 'x' + '}'.repeat(3000));
+        const afterUnrepairable = mcp.parse("note { see # here {tool: 'test_add', args: {x: 1, y: 2}}");
+        const unrepairableElapsed = Date.now() - unrepairableStarted;
+
+        if (unrepairableCalls === null && afterUnrepairable && afterUnrepairable[0].args.y === 2 &&
+            unrepairableElapsed < 1000) {
+            console.log('✅ Unrepairable spans skipped, later calls still repaired');
+        } else {
+            console.log('❌ Unrepairable nested brackets failed');
+            console.log('   Result:', JSON.stringify(afterUnrepairable), `${unrepairableElapsed}ms`);
+        }
+
+        // Test 42: Malformed stringified provider arguments are repaired
+        console.log('\nTest 42: Repairing Provider Arguments');
+        const malformedCompletion = {
+            choices: [{ message: { tool_calls: [{
+                id: 'call_trailing', type: 'function', function: { name: 'test_add', arguments: '{"x":1,"y":2,}' }
+            }] } }]
+        };
+        const repairedArgs = mcp.parse(malformedCompletion);
+        const unrepairedArgs = mcp.parse(malformedCompletion, { repair: false });
+
+        if (repairedArgs[0].args.y === 2 && repairedArgs[0].repairs.join(',') === 'trailing_commas' &&
+            Object.keys(unrepairedArgs[0].args).length === 0 && !unrepairedArgs[0].repairs) {
+            console.log('✅ Malformed function.arguments repaired unless repair is off');
+        } else {
+            console.log('❌ Repairing provider arguments failed');
+            console.log('   Results:', JSON.stringify([repairedArgs, unrepairedArgs]));
+        }
+
+        // Test 43: Tools call other tools through their context
+        console.log('\nTest 43: Calling Tools from Tools');
+        let nestedSession = null;
+        let nestedCancelled = false;
+        mcp.register('nested_wait', (args, { session, signal }) => {
+            nestedSession = session;
+            return new Promise(resolve => {
+                const timer = setTimeout(() => resolve('done'), 200);
+                signal.addEventListener('abort', () => {
+                    nestedCancelled = true;
+                    clearTimeout(timer);
+                    resolve('stopped');
+                });
+            });
+        });
+        mcp.register('outer_call', ({ wait }, { callTool }) => (
+            wait ? callTool('nested_wait') : callTool('test_add', { x: 2, y: 3 })
+        ));
+
+        const outerResult = await mcp.execute([{ tool: 'outer_call', args: { wait: false } }]);
+        const nestedController = createAbortController();
+        setTimeout(() => nestedController.abort(), 20);
+        const outerCancelled = await mcp.execute([{ tool: 'outer_call', args: { wait: true } }], {
+            session: { id: 'nested' },
+            signal: nestedController.signal
+        });
+
+        if (outerResult[0].result === 5 && outerCancelled[0].status === 'cancelled' &&
+            nestedCancelled && nestedSession.id === 'nested') {
+            console.log('✅ callTool runs in the caller\'s session and is cancelled with it');
+        } else {
+            console.log('❌ Calling tools from tools failed');
+            console.log('   Results:', JSON.stringify([outerResult, outerCancelled]), nestedCancelled);
+        }
+
+        // Test 44: ReAct actions while streaming
+        console.log('\nTest 44: Streaming ReAct Actions');
+        const reactStreamText = 'Thought: look it up\nAction: search\nAction Input: {"q": "mcp"}\nObservation:';
+        const reactStream = mcp.createStreamingParser();
+        const streamedReactCalls = [];
+        for (let i = 0; i < reactStreamText.length; i += 7) {
+            streamedReactCalls.push(...(reactStream.addChunk(reactStreamText.slice(i, i + 7)) || []));
+        }
+        const nativeReactStream = mcp.createStreamingParser({ formats: ['native'] });
+
+        if (streamedReactCalls.length === 1 && streamedReactCalls[0].tool === 'search' && streamedReactCalls[0].args.q === 'mcp' &&
+            !reactStream.flush() && !nativeReactStream.addChunk(reactStreamText) && !nativeReactStream.flush()) {
+            console.log('✅ ReAct JSON inputs are streamed only when the react format is selected');
+        } else {
+            console.log('❌ Streaming ReAct actions failed');
+            console.log('   Calls:', JSON.stringify(streamedReactCalls));
+        }
+
+        // Test 45: Stray brackets before streamed calls
+        console.log('\nTest 45: Stray Brackets While Streaming');
+        const strayText = 'Sad face :-[ anyway {"tool": "test_add", "args": {"x": 1, "y": 2}} and ' +
+            'Range [0, 1) then {"tool": "test_add", "args": {"x": 3, "y": 4}} done';
+        const strayStream = mcp.createStreamingParser();
+        const strayCalls = [];
+        for (let i = 0; i < strayText.length; i += 5) {
+            strayCalls.push(...(strayStream.addChunk(strayText.slice(i, i + 5)) || []));
+        }
+
+        if (strayCalls.length === 2 && strayCalls[0].args.x === 1 && strayCalls[1].args.x === 3 &&
+            !strayStream.flush()) {
+            console.log('✅ Calls after a stray bracket are found without waiting for flush');
+        } else {
+            console.log('❌ Stray brackets hid streamed calls');
+            console.log('   Calls:', JSON.stringify(strayCalls));
+        }
+
+        // Test 46: Streamed results arrive while the source is idle
+        console.log('\nTest 46: Streaming Results While Idle');
+        let streamSession = null;
+        const streamProgress = [];
+        mcp.register('stream_progress', async (args, { session, reportProgress }) => {
+            streamSession = session;
+            reportProgress(1, 1);
+            return 'ok';
+        });
+
+        const idleEvents = [];
+        async function* idleChunks() {
+            yield '{"tool": "stream_progress", "args": {}}';
+            await new Promise(resolve => setTimeout(resolve, 100));
+            idleEvents.push('chunk');
+            yield ' done';
+        }
+
+        for await (const result of mcp.stream(idleChunks(), {
+            execute: true,
+            session: { id: 'streamed' },
+            onProgress: (update) => streamProgress.push(update.progress)
+        })) {
+            idleEvents.push(result.result);
+        }
+
+        if (idleEvents.join() === 'ok,chunk' && streamSession.id === 'streamed' && streamProgress[0] === 1) {
+            console.log('✅ Results are yielded before the next chunk, with session and progress passed through');
+        } else {
+            console.log('❌ Streaming results while idle failed');
+            console.log('   Events:', JSON.stringify(idleEvents), JSON.stringify(streamSession), streamProgress);
+        }
+
         console.log('\n🎉 All tests completed successfully!');
         console.log('\nLibrary Info:');
         console.log(JSON.stringify(mcp.getInfo(), null, 2));